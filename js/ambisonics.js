@@ -0,0 +1,229 @@
+/**
+ * Ambisonic Renderer for SHAC Simulator
+ * Alternative to per-source HRTF panning: sources are encoded into a shared
+ * ambisonic soundfield (AmbiX: ACN channel order, SN3D normalization), which
+ * is decoded to virtual speakers that are each rendered binaurally.
+ *
+ * Signal flow:
+ *   source -> encoder (one gain per channel) -> bus channels
+ *   bus channels -> decoder matrix -> virtual speaker HRTF panners -> destination
+ *
+ * With decode off, the bus channels are merged into one multichannel
+ * B-format output instead (AmbiX export).
+ *
+ * Ambisonic frame: +x front, +y left, +z up.
+ * Directions are given head-relative, so listener yaw/pitch rotate the
+ * soundfield at encode time.
+ */
+
+class AmbisonicRenderer {
+    constructor(audioContext, order, destination, decode = true) {
+        this.audioContext = audioContext;
+        this.order = order;
+        this.channelCount = AmbisonicRenderer.getChannelCount(order);
+
+        // One summing node per ambisonic channel
+        this.busChannels = [];
+        for (let channel = 0; channel < this.channelCount; channel++) {
+            this.busChannels.push(audioContext.createGain());
+        }
+
+        this.merger = null;
+        this.speakers = [];
+
+        if (!decode) {
+            // Raw B-format: channel n of the output is ACN n
+            this.merger = audioContext.createChannelMerger(this.channelCount);
+            this.busChannels.forEach((busChannel, channel) => {
+                busChannel.connect(this.merger, 0, channel);
+            });
+            this.merger.connect(destination);
+            return;
+        }
+
+        // Virtual speakers: decoder row gains -> HRTF panner
+        this.speakers = AmbisonicRenderer.getSpeakerLayout(order).map(direction => {
+            const panner = audioContext.createPanner();
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = 'linear';
+            panner.rolloffFactor = 0; // Speakers sit on a unit sphere, no distance loss
+
+            // Ambisonic frame -> Web Audio frame (+X right, +Y up, -Z front)
+            const [x, y, z] = direction;
+            if (panner.positionX) {
+                panner.positionX.value = -y;
+                panner.positionY.value = z;
+                panner.positionZ.value = -x;
+            } else {
+                panner.setPosition(-y, z, -x);
+            }
+            panner.connect(destination);
+
+            const coefficients = this.getDecoderRow(direction);
+            const gains = coefficients.map((coefficient, channel) => {
+                const gain = audioContext.createGain();
+                gain.gain.value = coefficient;
+                this.busChannels[channel].connect(gain);
+                gain.connect(panner);
+                return gain;
+            });
+
+            return { direction, panner, gains };
+        });
+    }
+
+    /**
+     * Number of channels for an ambisonic order: (order + 1)^2
+     */
+    static getChannelCount(order) {
+        return (order + 1) * (order + 1);
+    }
+
+    /**
+     * Real spherical harmonics, ACN order, SN3D normalization (AmbiX)
+     * Direction is a unit vector in the ambisonic frame
+     * Supports orders 0 to 3
+     */
+    static encodeSN3D(order, x, y, z) {
+        const coefficients = new Float32Array(AmbisonicRenderer.getChannelCount(order));
+
+        coefficients[0] = 1;
+        if (order < 1) return coefficients;
+
+        // First order
+        coefficients[1] = y;
+        coefficients[2] = z;
+        coefficients[3] = x;
+        if (order < 2) return coefficients;
+
+        // Second order
+        const sqrt3 = Math.sqrt(3);
+        coefficients[4] = sqrt3 * x * y;
+        coefficients[5] = sqrt3 * y * z;
+        coefficients[6] = 0.5 * (3 * z * z - 1);
+        coefficients[7] = sqrt3 * x * z;
+        coefficients[8] = (sqrt3 / 2) * (x * x - y * y);
+        if (order < 3) return coefficients;
+
+        // Third order
+        const z2 = z * z;
+        coefficients[9] = Math.sqrt(5 / 8) * y * (3 * x * x - y * y);
+        coefficients[10] = Math.sqrt(15) * x * y * z;
+        coefficients[11] = Math.sqrt(3 / 8) * y * (5 * z2 - 1);
+        coefficients[12] = 0.5 * z * (5 * z2 - 3);
+        coefficients[13] = Math.sqrt(3 / 8) * x * (5 * z2 - 1);
+        coefficients[14] = (Math.sqrt(15) / 2) * z * (x * x - y * y);
+        coefficients[15] = Math.sqrt(5 / 8) * x * (x * x - 3 * y * y);
+
+        return coefficients;
+    }
+
+    /**
+     * Virtual speaker directions (unit vectors, ambisonic frame)
+     * First order: cube corners. Higher orders: near-uniform Fibonacci sphere
+     * with more speakers than channels.
+     */
+    static getSpeakerLayout(order) {
+        if (order <= 1) {
+            const s = 1 / Math.sqrt(3);
+            const layout = [];
+            [-1, 1].forEach(x => [-1, 1].forEach(y => [-1, 1].forEach(z => {
+                layout.push([x * s, y * s, z * s]);
+            })));
+            return layout;
+        }
+
+        const count = order === 2 ? 14 : 26;
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        const layout = [];
+        for (let i = 0; i < count; i++) {
+            const z = 1 - (2 * (i + 0.5)) / count;
+            const radius = Math.sqrt(1 - z * z);
+            const angle = i * goldenAngle;
+            layout.push([Math.cos(angle) * radius, Math.sin(angle) * radius, z]);
+        }
+        return layout;
+    }
+
+    /**
+     * Decoder gains for one virtual speaker (sampling decoder with max-rE weights)
+     * feed = 1/N * sum over channels of (2l + 1) * g_l * Y_SN3D(speaker) * B_SN3D
+     */
+    getDecoderRow(direction) {
+        const speakerCount = AmbisonicRenderer.getSpeakerLayout(this.order).length;
+        const harmonics = AmbisonicRenderer.encodeSN3D(this.order, ...direction);
+        const weights = this.getMaxReWeights();
+
+        return Array.from(harmonics, (harmonic, channel) => {
+            const degree = Math.floor(Math.sqrt(channel));
+            return ((2 * degree + 1) * weights[degree] * harmonic) / speakerCount;
+        });
+    }
+
+    /**
+     * Per-degree max-rE weights: g_l = P_l(cos(137.9° / (order + 1.51)))
+     */
+    getMaxReWeights() {
+        const x = Math.cos((137.9 * Math.PI / 180) / (this.order + 1.51));
+        const weights = [1, x];
+
+        // Legendre recurrence: (l + 1) P_{l+1} = (2l + 1) x P_l - l P_{l-1}
+        for (let l = 1; l < this.order; l++) {
+            weights.push(((2 * l + 1) * x * weights[l] - l * weights[l - 1]) / (l + 1));
+        }
+        return weights;
+    }
+
+    /**
+     * Create an encoder for one mono emitter
+     * Returns { input, setDirection(x, y, z, ramp?), disconnect() }
+     * ramp: null jumps, { timeConstant } glides from now,
+     * { endTime } ramps linearly to arrive then (offline automation)
+     */
+    createEncoder() {
+        // Encode a mono downmix of the emitter
+        const input = this.audioContext.createGain();
+        input.channelCount = 1;
+        input.channelCountMode = 'explicit';
+
+        const gains = this.busChannels.map(busChannel => {
+            const gain = this.audioContext.createGain();
+            input.connect(gain);
+            gain.connect(busChannel);
+            return gain;
+        });
+
+        return {
+            input,
+            setDirection: (x, y, z, ramp = null) => {
+                const coefficients = AmbisonicRenderer.encodeSN3D(this.order, x, y, z);
+                const now = this.audioContext.currentTime;
+                gains.forEach((gain, channel) => {
+                    if (!ramp) {
+                        gain.gain.value = coefficients[channel];
+                    } else if (ramp.endTime !== undefined) {
+                        gain.gain.linearRampToValueAtTime(coefficients[channel], ramp.endTime);
+                    } else {
+                        gain.gain.setTargetAtTime(coefficients[channel], now, ramp.timeConstant);
+                    }
+                });
+            },
+            disconnect: () => {
+                input.disconnect();
+                gains.forEach(gain => gain.disconnect());
+            }
+        };
+    }
+
+    /**
+     * Tear down the decoder
+     */
+    disconnect() {
+        this.busChannels.forEach(busChannel => busChannel.disconnect());
+        if (this.merger) this.merger.disconnect();
+        this.speakers.forEach(speaker => {
+            speaker.gains.forEach(gain => gain.disconnect());
+            speaker.panner.disconnect();
+        });
+    }
+}
@@ -7,10 +7,17 @@ class SHACSimulator {
     constructor() {
         // Core components
         this.audioEngine = null;
+        this.history = null;
         this.movement = null;
         this.visualization = null;
         this.fileLoader = null;
         this.sourceManager = null;
+        this.masterMeter = null;
+        this.roomPanel = null;
+        this.obstaclePanel = null;
+        this.layoutPanel = null;
+        this.sceneExporter = null;
+        this.exportPanel = null;
 
         // State
         this.isPlaying = false;
@@ -26,7 +33,18 @@ class SHACSimulator {
         this.resetPositionBtn = document.getElementById('reset-position');
         this.viewToggleBtn = document.getElementById('view-toggle-btn');
         this.viewModeLabel = document.getElementById('view-mode-label');
+        this.viewLayoutSelect = document.getElementById('view-layout-select');
+        this.cameraSelect = document.getElementById('camera-select');
         this.modeToggleBtn = document.getElementById('mode-toggle');
+        this.rendererSelect = document.getElementById('renderer-select');
+        this.transportSeek = document.getElementById('transport-seek');
+        this.transportTimeEl = document.getElementById('transport-time');
+        this.transportDurationEl = document.getElementById('transport-duration');
+        this.pathRecordBtn = document.getElementById('path-record-btn');
+        this.snapSelect = document.getElementById('snap-select');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.isScrubbing = false;
 
         this.init();
     }
@@ -57,15 +75,35 @@ class SHACSimulator {
     startApp() {
         console.log('Starting SHAC Simulator...');
 
+        // Undo/redo for scene edits
+        this.history = new CommandHistory();
+
         // Initialize movement controller
         this.movement = new MovementController(this.audioEngine);
 
         // Initialize visualization
         const canvas = document.getElementById('visualizer');
-        this.visualization = new Visualization(canvas, this.audioEngine);
+        this.visualization = new Visualization(canvas, this.audioEngine, this.history);
+        this.visualization.movementRadius = this.movement.movementRadius;
 
         // Initialize source manager
-        this.sourceManager = new SourceManager(this.audioEngine);
+        this.sourceManager = new SourceManager(this.audioEngine, this.history);
+
+        // Initialize master meters
+        this.masterMeter = new MasterMeter(this.audioEngine);
+
+        // Initialize room acoustics panel
+        this.roomPanel = new RoomPanel(this.audioEngine);
+
+        // Initialize wall/obstacle tools
+        this.obstaclePanel = new ObstaclePanel(this.audioEngine, this.visualization);
+
+        // Initialize selection layout tools
+        this.layoutPanel = new LayoutPanel(this.audioEngine, this.visualization, this.history);
+
+        // Initialize offline export
+        this.sceneExporter = new SceneExporter(this.audioEngine, this.movement);
+        this.exportPanel = new ExportPanel(this.audioEngine, this.movement, this.sceneExporter);
 
         // Initialize file loader
         this.fileLoader = new FileLoader(
@@ -104,6 +142,57 @@ class SHACSimulator {
             this.pauseAllBtn.style.display = 'none';
         });
 
+        // Timeline scrubber - preview time while dragging, seek on release
+        this.transportSeek.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.transportTimeEl.textContent = this.formatTime(parseFloat(this.transportSeek.value));
+        });
+
+        this.transportSeek.addEventListener('change', () => {
+            this.audioEngine.seek(parseFloat(this.transportSeek.value));
+            this.isScrubbing = false;
+        });
+
+        // Record while dragging: source drags during playback become keyframes
+        this.pathRecordBtn.addEventListener('click', () => {
+            const recording = !this.visualization.recordPath;
+            this.visualization.recordPath = recording;
+            this.pathRecordBtn.classList.toggle('primary', recording);
+            console.log(recording
+                ? 'Recording moves - drag sources during playback to write their paths'
+                : 'Stopped recording moves');
+        });
+
+        // Drag snapping (grid steps in meters, polar steps in degrees)
+        this.snapSelect.addEventListener('change', () => {
+            const [mode, step] = this.snapSelect.value.split('-');
+            this.visualization.setSnap(mode, parseFloat(step));
+            console.log(`Snap: ${this.snapSelect.selectedOptions[0].textContent.trim()}`);
+        });
+
+        // Keyframe edits on the map refresh the source list
+        this.visualization.onPathEdit = () => this.sourceManager.updateSourceList();
+
+        // Undo/redo buttons and shortcuts
+        this.history.onChange = () => this.onHistoryChange();
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Leave text fields their own undo
+            if (e.target.closest('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         // Reset position button
         this.resetPositionBtn.addEventListener('click', () => {
             this.movement.resetPosition();
@@ -121,6 +210,27 @@ class SHACSimulator {
             console.log(`Switched to ${newMode} view`);
         });
 
+        // Map, side and front elevation views, or all three split
+        this.viewLayoutSelect.addEventListener('change', () => {
+            this.visualization.setLayout(this.viewLayoutSelect.value);
+            console.log(`Switched to ${this.viewLayoutSelect.selectedOptions[0].textContent.trim()} layout`);
+        });
+
+        // Camera mode; panning, zooming or the mode toggle can change it too
+        this.cameraSelect.addEventListener('change', () => {
+            this.visualization.setCameraMode(this.cameraSelect.value);
+        });
+        this.visualization.onCameraChange = (mode) => {
+            this.cameraSelect.value = mode;
+        };
+
+        // Renderer select (HRTF panner vs ambisonic encode/decode)
+        this.rendererSelect.addEventListener('change', () => {
+            const [renderer, order] = this.rendererSelect.value.split('-');
+            this.audioEngine.setRenderer(renderer, parseInt(order) || 1);
+            console.log(`Switched to ${this.rendererSelect.selectedOptions[0].textContent.trim()} renderer`);
+        });
+
         // Mode toggle button (authoring vs composition)
         this.modeToggleBtn.addEventListener('click', () => {
             const isComposition = this.visualization.toggleCompositionMode();
@@ -136,6 +246,30 @@ class SHACSimulator {
         });
     }
 
+    undo() {
+        const command = this.history.undo();
+        if (command) console.log(`Undo: ${command.label}`);
+    }
+
+    redo() {
+        const command = this.history.redo();
+        if (command) console.log(`Redo: ${command.label}`);
+    }
+
+    /**
+     * Refresh the source list and the undo/redo buttons after any history change
+     */
+    onHistoryChange() {
+        this.sourceManager.updateSourceList();
+
+        const undoLabel = this.history.getUndoLabel();
+        const redoLabel = this.history.getRedoLabel();
+        this.undoBtn.disabled = !undoLabel;
+        this.redoBtn.disabled = !redoLabel;
+        this.undoBtn.title = undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        this.redoBtn.title = redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+    }
+
     onFilesLoaded(loadedSources) {
         console.log(`Loaded ${loadedSources.length} audio sources`);
 
@@ -158,10 +292,18 @@ class SHACSimulator {
             // Get current state
             const playerPos = this.movement.getPosition();
             const playerFacing = this.movement.getFacing();
+            const playerPitch = this.movement.getPitch();
             const sources = this.audioEngine.getSources();
 
+            // Follow motion paths and track motion for Doppler
+            this.audioEngine.tick();
+
             // Render visualization
-            this.visualization.render(playerPos, sources, playerFacing);
+            this.visualization.render(playerPos, sources, playerFacing, playerPitch);
+
+            // Update timeline and meters
+            this.updateTransport();
+            this.masterMeter.update();
 
             // Continue loop
             requestAnimationFrame(render);
@@ -169,6 +311,31 @@ class SHACSimulator {
 
         render();
     }
+
+    /**
+     * Sync the timeline scrubber with the engine playhead
+     */
+    updateTransport() {
+        const duration = this.audioEngine.getDuration();
+        this.transportSeek.max = duration;
+        this.transportDurationEl.textContent = this.formatTime(duration);
+
+        // Don't fight the user while they drag the scrubber
+        if (this.isScrubbing) return;
+
+        const currentTime = this.audioEngine.getCurrentTime();
+        this.transportSeek.value = currentTime;
+        this.transportTimeEl.textContent = this.formatTime(currentTime);
+    }
+
+    /**
+     * Format seconds as m:ss
+     */
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
 }
 
 // Initialize app when page loads
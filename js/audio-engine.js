@@ -7,16 +7,103 @@
  * - Looping playback (continuous play)
  * - Synchronized start/stop
  * - Per-source volume control
+ * - Mixer state (mute/solo) and master fader
+ * - Master bus: gain -> optional limiter -> output, with peak/RMS metering
+ * - Per-source distance attenuation model
+ * - Directional sources (sound cones)
+ * - Per-source reverb send into a shared room (see room-acoustics.js)
+ * - Selectable renderer: HRTF PannerNode per source, or ambisonic
+ *   encode + binaural decode (see ambisonics.js)
+ * - Doppler pitch shift from listener and source velocities, tracked
+ *   frame by frame in tick()
+ * - Air absorption: distance-dependent low-pass per source (ISO 9613-1)
+ * - Occlusion by walls and boxes (see obstacles.js): attenuation and
+ *   low-pass when the direct path is blocked
+ * - Anchoring: world-locked sources stay put, head-locked sources keep
+ *   their offset from the listener's position and facing
+ * - Motion paths: position keyframes per source (see motion-path.js),
+ *   followed along the transport in tick()
+ * - Motion behaviors: orbit, oscillate and random walk on top of a
+ *   source's home or path position (see motion-behaviors.js)
+ * - Source groups (see source-groups.js): move, rotate and scale members
+ *   together, and mute/solo/lock them as one
+ * - Wide sources: stereo/multichannel files split into one emitter per
+ *   channel, spread along a line of adjustable width and rotation
+ * - Layouts for a selection of sources: align, distribute, arc/circle
+ *   around the listener and mirror (see source-layout.js)
+ *
+ * Each source keeps one persistent node graph for its whole life; only the
+ * AudioBufferSourceNode is recreated on play/seek. Parameter changes glide
+ * (setTargetAtTime) instead of jumping, so dragging and walking don't click.
+ *
+ * Coordinates: world +X = east, +Y = up, +Z = north, the listener's forward
+ * at yaw 0 (as on the map and for movement). Web Audio's forward is -Z, so
+ * every vector handed to the context (panner positions, cone facings, the
+ * listener's forward) goes through toAudioFrame().
  */
 
 class SpatialAudioEngine {
     constructor() {
         this.audioContext = null;
         this.listener = { x: 0, y: 0, z: 0 };
+        this.listenerOrientation = { yaw: 0, pitch: 0 }; // Degrees
         this.sources = new Map(); // sourceId -> source object
         this.isPlaying = false;
         this.initialized = false;
         this.nextSourceId = 1;
+
+        // Shared transport (playhead in seconds, kept unwrapped so stems of
+        // different lengths keep their relative loop phase across pauses)
+        this.transport = {
+            offset: 0,     // Playhead when paused, or at startTime when playing
+            startTime: 0   // audioContext.currentTime when playback (re)started
+        };
+        this.scheduleAheadTime = 0.05; // Seconds between scheduling and sound
+        this.smoothingTime = 0.03; // Time constant for parameter glides (seconds)
+
+        // Master bus
+        this.masterGain = null;
+        this.masterLimiter = null;
+        this.masterOutput = null;
+        this.meterAnalysers = [];
+        this.meterData = null;
+        this.masterVolume = 1.0;
+        this.limiterEnabled = true;
+        this.masterClipped = false; // Latches until resetClip()
+        this.maxVolume = this.dbToGain(6); // Faders go up to +6 dB
+
+        // Room simulation (created with the context)
+        this.room = null;
+
+        // Renderer: 'hrtf' (PannerNode per source) or 'ambisonic'
+        this.renderer = 'hrtf';
+        this.ambisonicOrder = 1;
+        this.ambisonics = null; // AmbisonicRenderer when active
+
+        // Doppler: velocities come from position changes between ticks
+        this.speedOfSound = 343; // Units per second (1 unit = 1 meter)
+        this.velocitySmoothing = 0.1; // Seconds, evens out stepped key movement
+        this.maxDopplerDrift = 0.005; // Seconds a stem may sit off the transport before realigning
+        this.dopplerSettledRate = 0.001; // Realign only once the rate is this close to 1
+        this.listenerMotion = this.createMotionState(this.listener);
+        this.lastTickTime = null;
+
+        // Air absorption (global; each source can bypass it)
+        this.airAbsorption = {
+            humidity: 50, // Relative humidity in percent
+            strength: 1   // Scales the absorption (0 = off, 1 = physical)
+        };
+        this.airMaxCutoff = 20000; // Filter fully open (Hz)
+
+        // Walls and boxes between listener and sources
+        this.obstacles = new SceneObstacles();
+
+        // Named groups of sources (membership is source.groupId)
+        this.groups = new SourceGroups();
+
+        // Motion paths and behaviors
+        this.lastMotionTime = null; // Playhead when paths and behaviors were last applied
+        this.pathRecordInterval = 0.1; // Seconds between recorded keyframes
     }
 
     async init() {
@@ -25,6 +112,9 @@ class SpatialAudioEngine {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
+            this.createMasterBus();
+            this.room = new RoomAcoustics(this.audioContext, this.masterGain);
+
             // Resume context on user interaction if needed
             if (this.audioContext.state === 'suspended') {
                 document.addEventListener('click', async () => {
@@ -51,6 +141,61 @@ class SpatialAudioEngine {
         }
     }
 
+    /**
+     * Build the master bus
+     * sources -> masterGain -> [limiter] -> masterOutput -> destination
+     *                                           \-> splitter -> L/R meters
+     */
+    createMasterBus() {
+        const ctx = this.audioContext;
+
+        // All sources sum into the master gain
+        this.masterGain = ctx.createGain();
+        this.masterGain.gain.value = this.masterVolume;
+
+        this.masterLimiter = this.createLimiter(ctx);
+
+        this.masterOutput = ctx.createGain();
+        this.masterLimiter.connect(this.masterOutput);
+        this.masterOutput.connect(ctx.destination);
+
+        // Meter the binaural output per channel
+        const splitter = ctx.createChannelSplitter(2);
+        this.masterOutput.connect(splitter);
+        this.meterAnalysers = [0, 1].map(channel => {
+            const analyser = ctx.createAnalyser();
+            analyser.fftSize = 2048;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.meterData = new Float32Array(this.meterAnalysers[0].fftSize);
+
+        this.routeMasterBus();
+    }
+
+    /**
+     * Master limiter: fast attack, hard knee, high ratio
+     * Not a brickwall: a DynamicsCompressor has no lookahead, so fast
+     * transients can still overshoot (and light the clip indicator)
+     */
+    createLimiter(ctx) {
+        const limiter = ctx.createDynamicsCompressor();
+        limiter.threshold.value = -1;
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.001;
+        limiter.release.value = 0.1;
+        return limiter;
+    }
+
+    /**
+     * Route master gain through or around the limiter
+     */
+    routeMasterBus() {
+        this.masterGain.disconnect();
+        this.masterGain.connect(this.limiterEnabled ? this.masterLimiter : this.masterOutput);
+    }
+
     /**
      * Load audio file and return AudioBuffer
      */
@@ -64,7 +209,7 @@ class SpatialAudioEngine {
      * Create a new spatial audio source
      * Returns sourceId for managing this source
      */
-    createSource(audioBuffer, name, position = { x: 0, y: 0, z: 0 }) {
+    createSource(audioBuffer, name, position = { x: 0, y: 0, z: 0 }, wide = false) {
         const sourceId = this.nextSourceId++;
 
         const source = {
@@ -72,91 +217,304 @@ class SpatialAudioEngine {
             name: name,
             buffer: audioBuffer,
             position: { ...position },
+            homePosition: { ...position }, // Where it was placed; paths and behaviors move it from here
             volume: 1.0,
-            locked: false, // Individual lock state
-            // Audio nodes (created when playing)
+            muted: false,
+            solo: false,
+            reverbSend: 0.25, // Linear send level into the room
+            // Distance attenuation (PannerNode distance model settings)
+            distance: {
+                model: 'inverse', // 'linear', 'inverse' or 'exponential'
+                refDistance: 1,
+                maxDistance: 100,
+                rolloffFactor: 1
+            },
+            // Sound cone (innerAngle 360 = omnidirectional)
+            cone: {
+                yaw: 0,           // Facing in degrees (0 = north/+Z, clockwise)
+                innerAngle: 360,  // Full volume inside this angle
+                outerAngle: 360,  // outerGain outside this angle
+                outerGain: 0      // Linear gain outside the outer angle
+            },
+            // Doppler pitch shift, off until enabled per source
+            // (factor scales velocities, 1 = physical)
+            doppler: {
+                enabled: false,
+                factor: 1
+            },
+            motion: this.createMotionState(position),
+            dopplerRate: 1, // playbackRate currently applied
+            dopplerDrift: 0, // Seconds the stem has run ahead of the transport
+            airAbsorption: true, // Distance low-pass (false = bypass)
+            // Wide source: one emitter per channel along a line through the position
+            width: {
+                enabled: wide,
+                spread: 4,   // Distance between the outer emitters (units)
+                rotation: 0  // Degrees clockwise; 0 = first channel west, last east
+            },
+            // Anchoring: 'world' or 'head' (follows the listener)
+            anchor: 'world',
+            headOffset: null, // { right, up, forward } from the listener when head-locked
+            // Keyframed and procedural motion (world-anchored sources only)
+            path: new MotionPath(),
+            behaviors: [],        // [{ type, enabled, ...settings }] applied in order
+            held: false,          // Being dragged: path and behaviors let go until release
+            pathRecordTime: null, // Playhead of the last recorded keyframe
+            locked: false, // Editing lock (can't be dragged or retyped)
+            groupId: null, // Source group it belongs to
+            // Playback node (recreated on every start)
             node: null,
-            panner: null,
+            // Persistent graph (built once per source)
+            splitter: null,     // Wide sources: one output per channel
+            emitters: [],       // [{ level, panner, encoder, spatialGain }], one per emitter
             gainNode: null,
+            airFilter: null,
+            occlusionFilter: null,
+            occlusionGain: null,
+            sendGain: null,
             // State
             isPlaying: false
         };
 
         this.sources.set(sourceId, source);
+
+        if (this.audioContext) {
+            this.buildSourceGraph(source);
+        }
+
+        // Join a running transport at the current loop phase
+        if (this.isPlaying) {
+            this.startSource(sourceId);
+        }
+
         return sourceId;
     }
 
     /**
      * Remove a source
+     * Returns the removed source (buffer and settings intact) for restoreSource()
      */
     removeSource(sourceId) {
         const source = this.sources.get(sourceId);
-        if (!source) return;
+        if (!source) return null;
 
         this.stopSource(sourceId);
+        this.releaseSourceGraph(source);
         this.sources.delete(sourceId);
+        return source;
+    }
+
+    /**
+     * Put a removed source back under its old id, at its old place in the list
+     */
+    restoreSource(source, index = this.sources.size) {
+        const entries = Array.from(this.sources.entries());
+        entries.splice(index, 0, [source.id, source]);
+        this.sources = new Map(entries);
+
+        source.held = false;
+        if (!this.groups.getGroup(source.groupId)) {
+            source.groupId = null;
+        }
+
+        if (this.audioContext) {
+            this.buildSourceGraph(source);
+        }
+        if (this.isPlaying) {
+            this.startSource(source.id);
+        }
     }
 
     /**
      * Start playing a specific source (with looping)
+     * Schedules at `when` (context time), at the transport phase for that moment
      */
-    startSource(sourceId) {
+    startSource(sourceId, when = this.getScheduleTime()) {
+        if (!this.prepareSource(sourceId)) return;
+        this.scheduleSource(sourceId, when);
+    }
+
+    /**
+     * Create a fresh buffer source for a source's graph without starting it
+     * Returns false if the source can't be prepared
+     */
+    prepareSource(sourceId) {
         const source = this.sources.get(sourceId);
-        if (!source || !this.audioContext) return;
+        if (!source || !this.audioContext) return false;
 
         // Stop if already playing
-        if (source.node) {
-            try {
-                source.node.stop();
-            } catch (e) {
-                // Already stopped
-            }
-        }
+        this.stopSource(sourceId);
 
-        // Create new audio nodes
-        const bufferSource = this.audioContext.createBufferSource();
-        bufferSource.buffer = source.buffer;
-        bufferSource.loop = true; // Enable looping for continuous playback
+        if (!source.gainNode) {
+            this.buildSourceGraph(source);
+        }
 
-        // Create gain node for volume control
-        const gainNode = this.audioContext.createGain();
-        gainNode.gain.value = source.volume;
-
-        // Create panner for 3D positioning
-        const panner = this.audioContext.createPanner();
-        panner.panningModel = 'HRTF';
-        panner.distanceModel = 'inverse';
-        panner.refDistance = 1;
-        panner.maxDistance = 100;
-        panner.rolloffFactor = 1;
-        panner.coneInnerAngle = 360;
-        panner.coneOuterAngle = 0;
-        panner.coneOuterGain = 0;
-
-        // Set position
-        this.updateSourcePosition(panner, source.position);
-
-        // Connect nodes: source -> gain -> panner -> destination
-        bufferSource.connect(gainNode);
-        gainNode.connect(panner);
-        panner.connect(this.audioContext.destination);
-
-        // Store references
+        const bufferSource = this.createBufferSource(this.audioContext, source, source.gainNode);
         source.node = bufferSource;
-        source.gainNode = gainNode;
-        source.panner = panner;
-        source.isPlaying = true;
-
-        // Start playback
-        bufferSource.start(0);
+        source.dopplerRate = 1;
+        source.dopplerDrift = 0;
 
         // Handle end of playback (shouldn't happen with loop=true, but just in case)
         bufferSource.onended = () => {
+            // Ignore nodes replaced by a restart (seek/resume)
+            if (source.node !== bufferSource) return;
             source.isPlaying = false;
             source.node = null;
-            source.gainNode = null;
-            source.panner = null;
         };
+
+        return true;
+    }
+
+    /**
+     * Looping buffer source for a source, feeding `destination`
+     */
+    createBufferSource(ctx, source, destination) {
+        const bufferSource = ctx.createBufferSource();
+        bufferSource.buffer = source.buffer;
+        bufferSource.loop = true; // Enable looping for continuous playback
+        bufferSource.connect(destination);
+        return bufferSource;
+    }
+
+    /**
+     * Build a source's persistent graph on the live context
+     */
+    buildSourceGraph(source) {
+        Object.assign(source, this.createSourceChain(this.audioContext, source, this.getLiveBus()));
+
+        // Fresh nodes start at their targets
+        this.updateSourceSpatialization(source, true);
+        this.updateReverbSend(source, true);
+    }
+
+    /**
+     * Where live source graphs connect
+     */
+    getLiveBus() {
+        return {
+            output: this.masterGain,
+            reverbInput: this.room.input,
+            ambisonics: this.ambisonics
+        };
+    }
+
+    /**
+     * Build one source's processing graph on any context (live or offline)
+     * bus = { output, reverbInput, ambisonics } - ambisonics set selects that path
+     * A buffer source (createBufferSource) plays into gainNode
+     *
+     * gain -> air filter -> occlusion filter/gain -> panner ------------------> output
+     *                                            \-> spatial gain -> encoder -> soundfield (ambisonic)
+     *    \-> send -> reverbInput
+     *
+     * Wide sources split after the occlusion gain into one level -> panner
+     * (or spatial gain -> encoder) per channel. Distance filtering, occlusion
+     * and the reverb send are shared and measured from the source center.
+     *
+     * Returns { gainNode, airFilter, occlusionFilter, occlusionGain,
+     *           splitter, emitters, sendGain }
+     */
+    createSourceChain(ctx, source, bus) {
+        // Create gain node for volume control
+        const gainNode = ctx.createGain();
+        gainNode.gain.value = this.getEffectiveGain(source);
+
+        // Air absorption low-pass (second order, roughly the f^2 slope of air)
+        const airFilter = ctx.createBiquadFilter();
+        airFilter.type = 'lowpass';
+        airFilter.Q.value = Math.SQRT1_2;
+        airFilter.frequency.value = this.airMaxCutoff;
+        gainNode.connect(airFilter);
+
+        // Occlusion: open until an obstacle blocks the direct path
+        const occlusionFilter = ctx.createBiquadFilter();
+        occlusionFilter.type = 'lowpass';
+        occlusionFilter.Q.value = Math.SQRT1_2;
+        occlusionFilter.frequency.value = this.airMaxCutoff;
+        const occlusionGain = ctx.createGain();
+        airFilter.connect(occlusionFilter);
+        occlusionFilter.connect(occlusionGain);
+
+        const chain = {
+            gainNode,
+            airFilter,
+            occlusionFilter,
+            occlusionGain,
+            ...this.createSpatialStage(ctx, source, occlusionGain, bus),
+            sendGain: null
+        };
+
+        // Reverb send taps post-fader so mute/solo apply to the wet signal too
+        chain.sendGain = ctx.createGain();
+        gainNode.connect(chain.sendGain);
+        chain.sendGain.connect(bus.reverbInput);
+
+        return chain;
+    }
+
+    /**
+     * Renderer-specific end of a source graph, fed from `input`
+     * Returns { splitter, emitters } - splitter null for a point source
+     */
+    createSpatialStage(ctx, source, input, bus) {
+        const count = this.getEmitterCount(source);
+        if (count === 1) {
+            return { splitter: null, emitters: [this.createEmitter(ctx, source, input, bus)] };
+        }
+
+        // Equal-power levels so spreading a mix out doesn't make it louder
+        const splitter = ctx.createChannelSplitter(count);
+        input.connect(splitter);
+
+        const emitters = [];
+        for (let channel = 0; channel < count; channel++) {
+            const level = ctx.createGain();
+            level.gain.value = 1 / Math.sqrt(count);
+            splitter.connect(level, channel);
+            emitters.push({ ...this.createEmitter(ctx, source, level, bus), level });
+        }
+
+        return { splitter, emitters };
+    }
+
+    /**
+     * One positioned output: a panner, or spatial gain -> encoder
+     * Returns { level, panner, encoder, spatialGain }
+     */
+    createEmitter(ctx, source, input, bus) {
+        const stage = { level: null, panner: null, encoder: null, spatialGain: null };
+
+        if (bus.ambisonics) {
+            // Distance and cone are applied by hand in place of the panner
+            stage.spatialGain = ctx.createGain();
+            stage.encoder = bus.ambisonics.createEncoder();
+            input.connect(stage.spatialGain);
+            stage.spatialGain.connect(stage.encoder.input);
+        } else {
+            // Create panner for 3D positioning
+            stage.panner = ctx.createPanner();
+            stage.panner.panningModel = 'HRTF';
+            this.applyDistanceModel(stage.panner, source.distance);
+            this.applyCone(stage.panner, source.cone, true);
+
+            input.connect(stage.panner);
+            stage.panner.connect(bus.output);
+        }
+
+        return stage;
+    }
+
+    /**
+     * Start a prepared source at context time `when`
+     * Offset is the transport time at `when`, wrapped to this stem's length
+     */
+    scheduleSource(sourceId, when) {
+        const source = this.sources.get(sourceId);
+        if (!source || !source.node) return;
+
+        const offset = Math.max(0, this.getTransportTimeAt(when)) % source.buffer.duration;
+        source.node.start(when, offset);
+        source.isPlaying = true;
     }
 
     /**
@@ -172,204 +530,1620 @@ class SpatialAudioEngine {
             // Already stopped
         }
 
+        // The graph stays; only the buffer source goes
+        source.node.disconnect();
         source.node = null;
-        source.gainNode = null;
-        source.panner = null;
         source.isPlaying = false;
     }
 
     /**
-     * Play all sources in sync
+     * Disconnect and forget a source's graph (when the source is removed)
      */
-    playAll() {
-        if (!this.audioContext) return;
-
-        // Start all sources at the same time
-        this.sources.forEach((source, sourceId) => {
-            this.startSource(sourceId);
+    releaseSourceGraph(source) {
+        [source.gainNode, source.airFilter, source.occlusionFilter, source.sendGain].forEach(node => {
+            if (node) node.disconnect();
         });
+        this.releaseSpatialStage(source);
 
-        this.isPlaying = true;
+        source.gainNode = null;
+        source.airFilter = null;
+        source.occlusionFilter = null;
+        source.occlusionGain = null;
+        source.sendGain = null;
     }
 
     /**
-     * Pause all sources
+     * Disconnect a source's renderer-specific nodes
      */
-    pauseAll() {
-        this.sources.forEach((source, sourceId) => {
-            this.stopSource(sourceId);
+    releaseSpatialStage(source) {
+        if (source.occlusionGain) source.occlusionGain.disconnect();
+        if (source.splitter) source.splitter.disconnect();
+
+        source.emitters.forEach(emitter => {
+            [emitter.level, emitter.panner, emitter.spatialGain, emitter.encoder].forEach(node => {
+                if (node) node.disconnect();
+            });
         });
 
-        this.isPlaying = false;
+        source.splitter = null;
+        source.emitters = [];
     }
 
     /**
-     * Update source volume (0.0 to 1.0)
+     * Number of emitters: one per channel for wide sources, else one
      */
-    setSourceVolume(sourceId, volume) {
-        const source = this.sources.get(sourceId);
-        if (!source) return;
+    getEmitterCount(source) {
+        return source.width.enabled ? source.buffer.numberOfChannels : 1;
+    }
 
-        source.volume = Math.max(0, Math.min(1, volume));
+    /**
+     * World positions of a source's emitters around a center position,
+     * channel order along the width line
+     */
+    getEmitterPositions(source, position) {
+        const count = this.getEmitterCount(source);
+        if (count === 1) return [position];
 
-        // Update gain node if currently playing
-        if (source.gainNode) {
-            source.gainNode.gain.value = source.volume;
+        // Line direction: east at rotation 0, turning clockwise like yaw
+        const rotation = source.width.rotation * (Math.PI / 180);
+        const axisX = Math.cos(rotation);
+        const axisZ = -Math.sin(rotation);
+
+        const positions = [];
+        for (let channel = 0; channel < count; channel++) {
+            const offset = (channel / (count - 1) - 0.5) * source.width.spread;
+            positions.push({
+                x: position.x + axisX * offset,
+                y: position.y,
+                z: position.z + axisZ * offset
+            });
         }
+        return positions;
     }
 
     /**
-     * Update source position
+     * Update a source's width settings
+     * Accepts any subset of { enabled, spread, rotation }
+     * Turning width on or off rebuilds the spatial stage; playback keeps running
      */
-    setSourcePosition(sourceId, position) {
+    setSourceWidth(sourceId, settings) {
         const source = this.sources.get(sourceId);
         if (!source) return;
 
-        source.position = { ...position };
+        const width = { ...source.width, ...settings };
+        width.enabled = !!width.enabled;
+        width.spread = Math.max(0, Math.min(100, width.spread));
+        width.rotation = ((width.rotation % 360) + 360) % 360;
 
-        // Update panner if currently playing
-        if (source.panner) {
-            this.updateSourcePosition(source.panner, source.position);
+        const rebuild = width.enabled !== source.width.enabled;
+        source.width = width;
+
+        if (rebuild && source.occlusionGain) {
+            this.releaseSpatialStage(source);
+            Object.assign(source, this.createSpatialStage(this.audioContext, source, source.occlusionGain, this.getLiveBus()));
+            this.updateSourceSpatialization(source, true);
+        } else {
+            this.updateSourceSpatialization(source);
         }
     }
 
     /**
-     * Update listener position
+     * Switch renderer: 'hrtf' or 'ambisonic' (order 1 to 3)
+     * Only each source's spatial stage is swapped; playback keeps running
      */
-    updateListenerPosition(position) {
-        this.listener = { ...position };
+    setRenderer(renderer, order = this.ambisonicOrder) {
+        if (!this.audioContext) return;
+
+        this.sources.forEach(source => this.releaseSpatialStage(source));
 
-        // Update all active source panners
+        if (this.ambisonics) {
+            this.ambisonics.disconnect();
+            this.ambisonics = null;
+        }
+
+        this.renderer = renderer === 'ambisonic' ? 'ambisonic' : 'hrtf';
+        this.ambisonicOrder = Math.max(1, Math.min(3, order));
+
+        if (this.renderer === 'ambisonic') {
+            this.ambisonics = new AmbisonicRenderer(this.audioContext, this.ambisonicOrder, this.masterGain);
+        }
+
+        this.applyListenerOrientation(true);
+
+        const bus = this.getLiveBus();
         this.sources.forEach(source => {
-            if (source.panner) {
-                this.updateSourcePosition(source.panner, source.position);
-            }
+            if (!source.occlusionGain) return;
+
+            Object.assign(source, this.createSpatialStage(this.audioContext, source, source.occlusionGain, bus));
+            this.updateSourceSpatialization(source, true);
         });
     }
 
     /**
-     * Update listener orientation (from mouse look)
+     * Play all sources in sync, resuming from the transport position
      */
-    updateListenerOrientation(yaw = 0, pitch = 0) {
-        if (!this.audioContext || !this.audioContext.listener) return;
+    playAll() {
+        if (!this.audioContext) return;
 
-        // Convert yaw (horizontal rotation, degrees) and pitch (vertical rotation, degrees) to radians
-        const yawRad = yaw * (Math.PI / 180);
-        const pitchRad = pitch * (Math.PI / 180);
+        // One shared anchor in the near future for every stem
+        const when = this.getScheduleTime();
+        this.transport.startTime = when;
+        this.isPlaying = true;
 
-        // Calculate forward vector based on yaw and pitch
-        // In Web Audio: +X is right, +Y is up, +Z is backwards (towards listener)
-        // We want 0° yaw = looking forward (-Z direction in Web Audio)
-        const forwardX = Math.sin(yawRad) * Math.cos(pitchRad);
-        const forwardY = Math.sin(pitchRad);
-        const forwardZ = -Math.cos(yawRad) * Math.cos(pitchRad);
+        // Create every buffer source first so setup time can't push stems apart,
+        // then schedule them all against the same anchor
+        const sourceIds = Array.from(this.sources.keys());
+        const prepared = sourceIds.filter(sourceId => this.prepareSource(sourceId));
+        prepared.forEach(sourceId => this.scheduleSource(sourceId, when));
+    }
 
-        // Up vector (slightly affected by pitch, but generally pointing up)
-        const upX = 0;
-        const upY = 1;
-        const upZ = 0;
+    /**
+     * Pause all sources, keeping the playhead
+     */
+    pauseAll() {
+        this.transport.offset = this.getTransportTime();
+        this.isPlaying = false;
 
-        // Use modern API if available
-        if (this.audioContext.listener.forwardX) {
-            this.audioContext.listener.forwardX.value = forwardX;
-            this.audioContext.listener.forwardY.value = forwardY;
-            this.audioContext.listener.forwardZ.value = forwardZ;
-            this.audioContext.listener.upX.value = upX;
-            this.audioContext.listener.upY.value = upY;
-            this.audioContext.listener.upZ.value = upZ;
-        } else if (this.audioContext.listener.setOrientation) {
-            // Fallback to deprecated API
-            this.audioContext.listener.setOrientation(forwardX, forwardY, forwardZ, upX, upY, upZ);
-        }
+        this.sources.forEach((source, sourceId) => {
+            this.stopSource(sourceId);
+        });
     }
 
     /**
-     * Update panner position relative to listener
+     * Move the playhead to a time in seconds (0 to getDuration())
+     * Restarts all sources at the new position if playing
      */
-    updateSourcePosition(panner, sourcePosition) {
-        // Calculate relative position from listener
-        const relativeX = sourcePosition.x - this.listener.x;
-        const relativeY = sourcePosition.y - this.listener.y;
-        const relativeZ = sourcePosition.z - this.listener.z;
+    seek(time) {
+        const duration = this.getDuration();
+        this.transport.offset = Math.max(0, Math.min(duration, time));
 
-        if (panner.positionX) {
-            // Use new API if available
-            panner.positionX.value = relativeX;
-            panner.positionY.value = relativeY;
-            panner.positionZ.value = relativeZ;
-        } else {
-            // Fallback to old API
-            panner.setPosition(relativeX, relativeY, relativeZ);
+        if (this.isPlaying) {
+            this.playAll();
         }
     }
 
     /**
-     * Get distance between two positions
+     * Context time far enough ahead that every start lands on time
      */
-    getDistance(pos1, pos2) {
-        const dx = pos2.x - pos1.x;
-        const dy = pos2.y - pos1.y;
-        const dz = pos2.z - pos1.z;
-        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    getScheduleTime() {
+        return this.audioContext.currentTime + this.scheduleAheadTime;
     }
 
     /**
-     * Get distance from listener to a source
+     * Get the unwrapped transport time in seconds
      */
-    getDistanceToSource(sourceId) {
-        const source = this.sources.get(sourceId);
-        if (!source) return Infinity;
-        return this.getDistance(this.listener, source.position);
+    getTransportTime() {
+        if (!this.isPlaying || !this.audioContext) return this.transport.offset;
+
+        // Hold at the resume point until the scheduled start is reached
+        const now = Math.max(this.audioContext.currentTime, this.transport.startTime);
+        return this.getTransportTimeAt(now);
     }
 
     /**
-     * Get angle to source in degrees (0-360)
+     * Get the transport time at a given context time (while playing)
      */
-    getAngleToSource(sourceId) {
-        const source = this.sources.get(sourceId);
-        if (!source) return 0;
-
-        const dx = source.position.x - this.listener.x;
-        const dz = source.position.z - this.listener.z;
-
-        let angle = Math.atan2(dx, dz) * (180 / Math.PI);
-        if (angle < 0) angle += 360;
+    getTransportTimeAt(contextTime) {
+        return this.transport.offset + (contextTime - this.transport.startTime);
+    }
 
-        return angle;
+    /**
+     * Get the playhead within the timeline (0 to getDuration())
+     */
+    getCurrentTime() {
+        const duration = this.getDuration();
+        if (duration === 0) return 0;
+        return this.getTransportTime() % duration;
     }
 
     /**
-     * Get all sources (for UI display)
+     * Get timeline length in seconds (longest loaded stem)
      */
-    getSources() {
-        return Array.from(this.sources.values());
+    getDuration() {
+        let duration = 0;
+        this.sources.forEach(source => {
+            duration = Math.max(duration, source.buffer.duration);
+        });
+        return duration;
     }
 
     /**
-     * Get source by ID
+     * Update source volume (linear gain, 0.0 to maxVolume)
      */
-    getSource(sourceId) {
-        return this.sources.get(sourceId);
+    setSourceVolume(sourceId, volume) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.volume = Math.max(0, Math.min(this.maxVolume, volume));
+
+        if (source.gainNode) {
+            this.setParam(source.gainNode.gain, this.getEffectiveGain(source));
+        }
     }
 
     /**
-     * Toggle source lock state
+     * Mute or unmute a source
      */
-    toggleSourceLock(sourceId) {
+    setSourceMuted(sourceId, muted) {
         const source = this.sources.get(sourceId);
-        if (!source) return false;
+        if (!source) return;
 
-        source.locked = !source.locked;
-        return source.locked;
+        source.muted = muted;
+        this.updateMixGains();
     }
 
     /**
-     * Set source lock state
+     * Solo or unsolo a source
+     * exclusive = true clears every other solo first
      */
-    setSourceLocked(sourceId, locked) {
+    setSourceSolo(sourceId, solo, exclusive = false) {
         const source = this.sources.get(sourceId);
         if (!source) return;
 
-        source.locked = locked;
+        if (exclusive) {
+            this.sources.forEach(other => {
+                other.solo = false;
+            });
+        }
+
+        source.solo = solo;
+        this.updateMixGains();
+    }
+
+    /**
+     * Check if any source is soloed
+     */
+    hasSolo() {
+        return this.getSources().some(source => source.solo);
+    }
+
+    /**
+     * Gain a source should play at after mute/solo
+     */
+    getEffectiveGain(source) {
+        if (source.muted) return 0;
+        if (!source.solo && this.hasSolo()) return 0;
+        return source.volume;
+    }
+
+    /**
+     * Push mute/solo/volume state to all gain nodes
+     */
+    updateMixGains() {
+        this.sources.forEach(source => {
+            if (source.gainNode) {
+                this.setParam(source.gainNode.gain, this.getEffectiveGain(source));
+            }
+        });
+    }
+
+    /**
+     * Update master volume (linear gain, 0.0 to maxVolume)
+     */
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(this.maxVolume, volume));
+
+        if (this.masterGain) {
+            this.setParam(this.masterGain.gain, this.masterVolume);
+        }
+    }
+
+    /**
+     * Enable or bypass the master limiter
+     */
+    setLimiterEnabled(enabled) {
+        this.limiterEnabled = enabled;
+
+        if (this.masterGain) {
+            this.routeMasterBus();
+        }
+    }
+
+    /**
+     * Read master output levels
+     * Returns { peak: [L, R], rms: [L, R], clipped } with levels in dB
+     */
+    getMasterLevels() {
+        const levels = { peak: [-Infinity, -Infinity], rms: [-Infinity, -Infinity], clipped: this.masterClipped };
+        if (!this.meterData) return levels;
+
+        this.meterAnalysers.forEach((analyser, channel) => {
+            analyser.getFloatTimeDomainData(this.meterData);
+
+            let peak = 0;
+            let sumSquares = 0;
+            for (let i = 0; i < this.meterData.length; i++) {
+                const sample = Math.abs(this.meterData[i]);
+                if (sample > peak) peak = sample;
+                sumSquares += sample * sample;
+            }
+
+            levels.peak[channel] = this.gainToDb(peak);
+            levels.rms[channel] = this.gainToDb(Math.sqrt(sumSquares / this.meterData.length));
+
+            // Full scale or over is a clip
+            if (peak >= 1) {
+                this.masterClipped = true;
+            }
+        });
+
+        levels.clipped = this.masterClipped;
+        return levels;
+    }
+
+    /**
+     * Clear the latched clip indicator
+     */
+    resetClip() {
+        this.masterClipped = false;
+    }
+
+    /**
+     * Move an AudioParam to a value: glide from its current value,
+     * or jump when `immediate` (freshly built nodes)
+     */
+    setParam(param, value, immediate = false) {
+        if (immediate) {
+            param.value = value;
+        } else {
+            param.setTargetAtTime(value, this.audioContext.currentTime, this.smoothingTime);
+        }
+    }
+
+    /**
+     * Convert decibels to linear gain
+     */
+    dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    /**
+     * Convert linear gain to decibels (-Infinity for silence)
+     */
+    gainToDb(gain) {
+        return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+    }
+
+    /**
+     * Update a source's distance attenuation settings
+     * Accepts any subset of { model, refDistance, maxDistance, rolloffFactor }
+     */
+    setSourceDistanceModel(sourceId, settings) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        const distance = { ...source.distance, ...settings };
+
+        if (!['linear', 'inverse', 'exponential'].includes(distance.model)) {
+            distance.model = source.distance.model;
+        }
+
+        // Same limits the PannerNode enforces (it throws otherwise)
+        distance.refDistance = Math.max(0.01, distance.refDistance);
+        distance.maxDistance = Math.max(distance.refDistance + 0.01, distance.maxDistance);
+        distance.rolloffFactor = Math.max(0, distance.rolloffFactor);
+
+        source.distance = distance;
+
+        source.emitters.forEach(emitter => {
+            if (emitter.panner) this.applyDistanceModel(emitter.panner, distance);
+        });
+        this.updateSourceSpatialization(source);
+        this.updateReverbSend(source);
+    }
+
+    /**
+     * Apply distance settings to a panner
+     */
+    applyDistanceModel(panner, distance) {
+        panner.distanceModel = distance.model;
+        panner.refDistance = distance.refDistance;
+        panner.maxDistance = distance.maxDistance;
+        panner.rolloffFactor = this.getEffectiveRolloff(distance);
+    }
+
+    /**
+     * Rolloff the model actually uses: linear caps it at 1 (the PannerNode
+     * throws above that). The stored setting keeps the user's value, so it
+     * comes back when switching to another model
+     */
+    getEffectiveRolloff(distance) {
+        return distance.model === 'linear' ? Math.min(1, distance.rolloffFactor) : distance.rolloffFactor;
+    }
+
+    /**
+     * Gain at a distance for the given settings (Web Audio spec formulas)
+     */
+    computeDistanceGain(distance, d) {
+        const { model, refDistance, maxDistance } = distance;
+        const rolloffFactor = this.getEffectiveRolloff(distance);
+
+        switch (model) {
+            case 'linear': {
+                const clamped = Math.max(refDistance, Math.min(d, maxDistance));
+                return 1 - rolloffFactor * (clamped - refDistance) / (maxDistance - refDistance);
+            }
+            case 'exponential':
+                return Math.pow(Math.max(d, refDistance) / refDistance, -rolloffFactor);
+            case 'inverse':
+            default:
+                return refDistance / (refDistance + rolloffFactor * (Math.max(d, refDistance) - refDistance));
+        }
+    }
+
+    /**
+     * Update global air absorption
+     * Accepts any subset of { humidity, strength }
+     */
+    setAirAbsorption(settings) {
+        const air = { ...this.airAbsorption, ...settings };
+        air.humidity = Math.max(10, Math.min(100, air.humidity));
+        air.strength = Math.max(0, Math.min(10, air.strength));
+
+        this.airAbsorption = air;
+        this.sources.forEach(source => this.updateAirAbsorption(source));
+    }
+
+    /**
+     * Enable or bypass air absorption for one source
+     */
+    setSourceAirAbsorption(sourceId, enabled) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.airAbsorption = !!enabled;
+        this.updateAirAbsorption(source);
+    }
+
+    /**
+     * Glide a source's air filter to the cutoff for its distance
+     */
+    updateAirAbsorption(source, immediate = false) {
+        if (!source.airFilter) return;
+
+        const cutoff = this.computeAirCutoff(source, this.getDistance(this.listener, source.position));
+        this.setParam(source.airFilter.frequency, cutoff, immediate);
+    }
+
+    /**
+     * Low-pass cutoff (Hz) where air over a distance has taken 3 dB off,
+     * found by bisection since absorption rises steadily with frequency
+     */
+    computeAirCutoff(source, distance) {
+        const { humidity, strength } = this.airAbsorption;
+        if (!source.airAbsorption || strength === 0 || distance === 0) return this.airMaxCutoff;
+
+        const lossAt = (frequency) => this.computeAirAbsorption(frequency, humidity) * distance * strength;
+        if (lossAt(this.airMaxCutoff) < 3) return this.airMaxCutoff;
+
+        let low = Math.log(100);
+        let high = Math.log(this.airMaxCutoff);
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (lossAt(Math.exp(mid)) < 3) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return Math.exp(low);
+    }
+
+    /**
+     * Atmospheric absorption in dB per meter (ISO 9613-1)
+     * at 20 °C and sea-level pressure
+     */
+    computeAirAbsorption(frequency, humidity) {
+        const temperature = 293.15;
+        const triplePoint = 273.16;
+
+        // Molar concentration of water vapour (%)
+        const saturation = Math.pow(10, -6.8346 * Math.pow(triplePoint / temperature, 1.261) + 4.6151);
+        const h = humidity * saturation;
+
+        // Relaxation frequencies of oxygen and nitrogen (reference temperature, so T/T0 = 1)
+        const oxygen = 24 + 4.04e4 * h * (0.02 + h) / (0.391 + h);
+        const nitrogen = 9 + 280 * h;
+
+        const f2 = frequency * frequency;
+        return 8.686 * f2 * (
+            1.84e-11 +
+            0.01275 * Math.exp(-2239.1 / temperature) / (oxygen + f2 / oxygen) +
+            0.1068 * Math.exp(-3352 / temperature) / (nitrogen + f2 / nitrogen)
+        );
+    }
+
+    /**
+     * Recompute occlusion for every source (after obstacles change)
+     */
+    updateAllOcclusion() {
+        this.sources.forEach(source => this.updateOcclusion(source));
+    }
+
+    /**
+     * Glide a source's occlusion gain and filter to match the
+     * obstacles between it and the listener
+     */
+    updateOcclusion(source, immediate = false) {
+        if (!source.occlusionGain) return;
+
+        const { gain, cutoff } = this.computeOcclusion(source, this.listener);
+        this.setParam(source.occlusionGain.gain, gain, immediate);
+        this.setParam(source.occlusionFilter.frequency, cutoff, immediate);
+    }
+
+    /**
+     * Occlusion gain and low-pass cutoff for a source heard from a listener position
+     */
+    computeOcclusion(source, listener) {
+        const occlusion = this.obstacles.getOcclusion(listener, source.position);
+        return {
+            gain: occlusion.gain,
+            cutoff: occlusion.cutoff === null ? this.airMaxCutoff : occlusion.cutoff
+        };
+    }
+
+    /**
+     * Update a source's reverb send level (linear gain, 0.0 to 1.0)
+     */
+    setSourceReverbSend(sourceId, level) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.reverbSend = Math.max(0, Math.min(1, level));
+        this.updateReverbSend(source);
+    }
+
+    /**
+     * Update room settings and refresh every send
+     * (distance-dependent wet changes how sends react to distance)
+     */
+    setRoom(settings) {
+        if (!this.room) return;
+
+        this.room.setRoom(settings);
+        this.sources.forEach(source => this.updateReverbSend(source));
+    }
+
+    /**
+     * Recompute a source's send gain for its current distance
+     */
+    updateReverbSend(source, immediate = false) {
+        if (!source.sendGain) return;
+
+        this.setParam(source.sendGain.gain, this.computeSendGain(source, this.room, this.listener), immediate);
+    }
+
+    /**
+     * Send gain for a source heard from a listener position
+     */
+    computeSendGain(source, room, listener) {
+        const distanceGain = this.computeDistanceGain(source.distance, this.getDistance(listener, source.position));
+        return room.computeSendGain(source.reverbSend, distanceGain);
+    }
+
+    /**
+     * Update a source's facing and sound cone
+     * Accepts any subset of { yaw, innerAngle, outerAngle, outerGain }
+     */
+    setSourceCone(sourceId, settings) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        const cone = { ...source.cone, ...settings };
+
+        cone.yaw = ((cone.yaw % 360) + 360) % 360;
+        cone.innerAngle = Math.max(0, Math.min(360, cone.innerAngle));
+        cone.outerAngle = Math.max(cone.innerAngle, Math.min(360, cone.outerAngle));
+        cone.outerGain = Math.max(0, Math.min(1, cone.outerGain));
+
+        source.cone = cone;
+
+        source.emitters.forEach(emitter => {
+            if (emitter.panner) this.applyCone(emitter.panner, cone);
+        });
+        this.updateSourceSpatialization(source);
+    }
+
+    /**
+     * Apply cone settings and facing to a panner
+     * Facing glides unless `immediate` (cone angles can't be automated)
+     */
+    applyCone(panner, cone, immediate = false) {
+        panner.coneInnerAngle = cone.innerAngle;
+        panner.coneOuterAngle = cone.outerAngle;
+        panner.coneOuterGain = cone.outerGain;
+
+        // Facing (yaw 0 = world north)
+        const yawRad = cone.yaw * (Math.PI / 180);
+        const orientation = this.toAudioFrame({ x: Math.sin(yawRad), y: 0, z: Math.cos(yawRad) });
+
+        if (panner.orientationX) {
+            this.setParam(panner.orientationX, orientation.x, immediate);
+            this.setParam(panner.orientationY, orientation.y, immediate);
+            this.setParam(panner.orientationZ, orientation.z, immediate);
+        } else {
+            panner.setOrientation(orientation.x, orientation.y, orientation.z);
+        }
+    }
+
+    /**
+     * Update source position
+     * teleport: jump without implying motion (typed coordinates), so no Doppler blip
+     */
+    setSourcePosition(sourceId, position, teleport = false) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        // A held source with behaviors shows their offset from home, so the
+        // drag shifts home by the same amount instead of landing on it
+        if (source.held && this.isSourceMoving(source) && MotionBehaviors.isActive(source.behaviors)) {
+            source.homePosition = {
+                x: source.homePosition.x + position.x - source.position.x,
+                y: source.homePosition.y + position.y - source.position.y,
+                z: source.homePosition.z + position.z - source.position.z
+            };
+        } else {
+            source.homePosition = { ...position };
+        }
+
+        source.position = { ...position };
+        if (teleport) {
+            source.motion = this.createMotionState(position);
+        }
+
+        // Moving a head-locked source changes where it sits around the head
+        if (source.anchor === 'head') {
+            source.headOffset = this.computeHeadOffset(source.position, this.listener, this.listenerOrientation);
+        }
+
+        // Update panner/encoder if currently playing
+        this.updateSourceSpatialization(source);
+        this.updateReverbSend(source);
+    }
+
+    /**
+     * Update listener position
+     * teleport: jump without implying motion (e.g. position reset)
+     */
+    updateListenerPosition(position, teleport = false) {
+        this.listener = { ...position };
+        if (teleport) {
+            this.listenerMotion = this.createMotionState(position);
+        }
+        this.updateHeadLockedPositions(teleport);
+
+        // Update all active source panners/encoders
+        this.sources.forEach(source => {
+            this.updateSourceSpatialization(source);
+            this.updateReverbSend(source);
+        });
+    }
+
+    /**
+     * Per-frame update: move sources along their paths, track listener and
+     * source velocities and apply Doppler
+     * Called from the app render loop
+     */
+    tick(time = performance.now() / 1000) {
+        this.applyMotion();
+
+        const previousTime = this.lastTickTime;
+        this.lastTickTime = time;
+        if (previousTime === null) return;
+
+        const dt = time - previousTime;
+        if (dt <= 0) return;
+
+        // After a long gap (background tab) old positions mean nothing
+        if (dt > 0.25) {
+            this.listenerMotion = this.createMotionState(this.listener);
+            this.sources.forEach(source => {
+                source.motion = this.createMotionState(source.position);
+            });
+            return;
+        }
+
+        this.trackMotion(this.listenerMotion, this.listener, dt);
+        this.sources.forEach(source => {
+            this.trackMotion(source.motion, source.position, dt);
+            this.updateDoppler(source);
+            this.trackDopplerDrift(source, dt);
+        });
+    }
+
+    /**
+     * Fresh motion state at rest at a position
+     */
+    createMotionState(position) {
+        return {
+            previous: { x: position.x, y: position.y, z: position.z },
+            velocity: { x: 0, y: 0, z: 0 }
+        };
+    }
+
+    /**
+     * Smoothed velocity from the position change since the last tick
+     */
+    trackMotion(motion, position, dt) {
+        const smoothing = 1 - Math.exp(-dt / this.velocitySmoothing);
+
+        ['x', 'y', 'z'].forEach(axis => {
+            const raw = (position[axis] - motion.previous[axis]) / dt;
+            motion.velocity[axis] += (raw - motion.velocity[axis]) * smoothing;
+            motion.previous[axis] = position[axis];
+        });
+    }
+
+    /**
+     * Motion scheduler: move every source with a path or behaviors to where
+     * it should be at the playhead
+     * Held (dragged) and head-locked sources keep their own position
+     */
+    applyMotion() {
+        const time = this.getCurrentTime();
+        const previousTime = this.lastMotionTime;
+        this.lastMotionTime = time;
+
+        // Loop wraps and seeks jump along the path without implying motion
+        const jumped = previousTime === null || time < previousTime || time - previousTime > 0.25;
+
+        this.sources.forEach(source => {
+            if (!this.isSourceMoving(source) || source.held) return;
+
+            const position = this.getSourcePositionAt(source, time, this.listener, this.listenerOrientation);
+            const current = source.position;
+            const moved = ['x', 'y', 'z'].some(axis => Math.abs(position[axis] - current[axis]) > 0.0001);
+            if (!moved) return;
+
+            source.position = position;
+            if (jumped) {
+                source.motion = this.createMotionState(position);
+            }
+
+            this.updateSourceSpatialization(source);
+            this.updateReverbSend(source);
+        });
+    }
+
+    /**
+     * Check whether a source follows a path or behaviors
+     */
+    isSourceMoving(source) {
+        if (source.anchor === 'head') return false;
+        return !source.path.isEmpty() || MotionBehaviors.isActive(source.behaviors);
+    }
+
+    /**
+     * Where a source is at a transport time (unwrapped) for a listener pose
+     * Used by the offline renderer and the ghost trails, which can't wait for tick()
+     */
+    getSourcePositionAt(source, time, listener, orientation) {
+        if (source.anchor === 'head') {
+            return this.getAnchoredPosition(source, listener, orientation);
+        }
+        if (!this.isSourceMoving(source)) return source.position;
+
+        const duration = this.getDuration();
+        const timelineTime = duration > 0 ? ((time % duration) + duration) % duration : 0;
+        const home = source.path.isEmpty() ? source.homePosition : source.path.evaluate(timelineTime);
+
+        return MotionBehaviors.apply(source.behaviors, home, timelineTime, listener);
+    }
+
+    /**
+     * Path position that puts a source at a shown position at a transport
+     * time: its behaviors' offset there is taken back out, so keyframes
+     * written from where a source is seen don't get the offset twice
+     */
+    removeBehaviorOffset(source, position, time) {
+        if (!MotionBehaviors.isActive(source.behaviors)) return { ...position };
+
+        const home = source.path.isEmpty() ? source.homePosition : source.path.evaluate(time);
+        const moved = MotionBehaviors.apply(source.behaviors, home, time, this.listener);
+
+        return {
+            x: position.x - (moved.x - home.x),
+            y: position.y - (moved.y - home.y),
+            z: position.z - (moved.z - home.z)
+        };
+    }
+
+    /**
+     * Attach a behavior ('orbit', 'oscillate', 'randomWalk') to a source
+     * Returns the new behavior or null for an unknown type
+     */
+    addSourceBehavior(sourceId, type) {
+        const source = this.sources.get(sourceId);
+        const behavior = MotionBehaviors.create(type);
+        if (!source || !behavior) return null;
+
+        source.behaviors = [...source.behaviors, behavior];
+        return behavior;
+    }
+
+    /**
+     * Update a behavior's settings
+     * Accepts any subset of its fields plus enabled
+     */
+    updateSourceBehavior(sourceId, index, settings) {
+        const source = this.sources.get(sourceId);
+        if (!source || !source.behaviors[index]) return;
+
+        source.behaviors = source.behaviors.map((behavior, i) =>
+            i === index ? MotionBehaviors.update(behavior, settings) : behavior
+        );
+        this.settleSource(source);
+    }
+
+    removeSourceBehavior(sourceId, index) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.behaviors = source.behaviors.filter((behavior, i) => i !== index);
+        this.settleSource(source);
+    }
+
+    /**
+     * Send a source that stopped moving back to its home position
+     */
+    settleSource(source) {
+        if (this.isSourceMoving(source) || source.anchor === 'head') return;
+
+        source.position = { ...source.homePosition };
+        this.updateSourceSpatialization(source);
+        this.updateReverbSend(source);
+    }
+
+    /**
+     * Add a keyframe to a source's path (replaces one at the same time)
+     * Returns the keyframe's index
+     */
+    addSourceKeyframe(sourceId, time, position) {
+        const source = this.sources.get(sourceId);
+        if (!source) return -1;
+
+        return source.path.addKeyframe(time, position);
+    }
+
+    removeSourceKeyframe(sourceId, index) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.path.removeKeyframe(index);
+    }
+
+    /**
+     * Move a keyframe to a new position (its time stays)
+     */
+    moveSourceKeyframe(sourceId, index, position) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.path.moveKeyframe(index, position);
+    }
+
+    /**
+     * Remove all keyframes; the path position at the playhead becomes home
+     */
+    clearSourcePath(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source || source.path.isEmpty()) return;
+
+        if (source.anchor !== 'head') {
+            source.homePosition = source.path.evaluate(this.getCurrentTime());
+        }
+        source.path.clear();
+        this.settleSource(source);
+    }
+
+    /**
+     * Set path interpolation: 'linear' or 'spline'
+     */
+    setSourcePathInterpolation(sourceId, interpolation) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.path.interpolation = interpolation === 'spline' ? 'spline' : 'linear';
+    }
+
+    /**
+     * Hold a source off its path and behaviors while it's dragged
+     * (starts a fresh recording pass)
+     */
+    setSourceHeld(sourceId, held) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.held = held;
+        source.pathRecordTime = null;
+    }
+
+    /**
+     * Record a keyframe at the playhead while a source is dragged during playback
+     * Keyframes the playhead passed since the last one are overwritten
+     */
+    recordSourceKeyframe(sourceId, position) {
+        const source = this.sources.get(sourceId);
+        if (!source || source.anchor === 'head') return;
+
+        const time = this.getCurrentTime();
+        const lastTime = source.pathRecordTime;
+
+        // lastTime > time means the loop wrapped: start a new pass at the top
+        if (lastTime !== null && time >= lastTime) {
+            if (time - lastTime < this.pathRecordInterval) return;
+            source.path.removeKeyframesBetween(lastTime, time);
+        }
+
+        source.path.addKeyframe(time, this.removeBehaviorOffset(source, position, time));
+        source.pathRecordTime = time;
+    }
+
+    /**
+     * Update a source's Doppler settings
+     * Accepts any subset of { enabled, factor }
+     */
+    setSourceDoppler(sourceId, settings) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        const doppler = { ...source.doppler, ...settings };
+        doppler.enabled = !!doppler.enabled;
+        doppler.factor = Math.max(0, Math.min(10, doppler.factor));
+
+        source.doppler = doppler;
+        this.updateDoppler(source);
+    }
+
+    /**
+     * Glide a playing source's playback rate to its Doppler ratio
+     * Pitch shifts move the loop phase off the transport; see trackDopplerDrift()
+     */
+    updateDoppler(source) {
+        if (!source.node) return;
+
+        const rate = this.computeDopplerRate(
+            source,
+            this.listener,
+            this.listenerMotion.velocity,
+            source.motion.velocity
+        );
+        if (Math.abs(rate - source.dopplerRate) < 0.0001) return;
+
+        source.dopplerRate = rate;
+        this.setParam(source.node.playbackRate, rate);
+    }
+
+    /**
+     * Add up how far a stem's Doppler rate has moved it off the transport,
+     * and put it back on the transport phase once the rate settles at 1
+     */
+    trackDopplerDrift(source, dt) {
+        if (!source.node) return;
+
+        source.dopplerDrift += (source.dopplerRate - 1) * dt;
+
+        const settled = Math.abs(source.dopplerRate - 1) < this.dopplerSettledRate;
+        if (settled && Math.abs(source.dopplerDrift) > this.maxDopplerDrift) {
+            this.realignSource(source);
+        }
+    }
+
+    /**
+     * Swap a playing stem for a fresh one at the transport phase
+     * The old one plays until the new one starts, so there's no gap
+     */
+    realignSource(source) {
+        const when = this.getScheduleTime();
+        const oldNode = source.node;
+
+        try {
+            oldNode.stop(when);
+        } catch (e) {
+            // Already stopped
+        }
+        oldNode.onended = () => oldNode.disconnect();
+        source.node = null;
+
+        if (this.prepareSource(source.id)) {
+            this.scheduleSource(source.id, when);
+        }
+    }
+
+    /**
+     * Doppler frequency ratio: (c - vL) / (c - vS), with both velocities
+     * projected on the source-to-listener direction and scaled by the
+     * source's factor. Speeds are capped at half the speed of sound.
+     */
+    computeDopplerRate(source, listenerPosition, listenerVelocity, sourceVelocity) {
+        const { enabled, factor } = source.doppler;
+        if (!enabled || factor === 0) return 1;
+
+        const dx = listenerPosition.x - source.position.x;
+        const dy = listenerPosition.y - source.position.y;
+        const dz = listenerPosition.z - source.position.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (distance < 0.001) return 1;
+
+        const c = this.speedOfSound;
+        const maxSpeed = c * 0.5;
+        const project = (velocity) => {
+            const speed = factor * (velocity.x * dx + velocity.y * dy + velocity.z * dz) / distance;
+            return Math.max(-maxSpeed, Math.min(maxSpeed, speed));
+        };
+
+        return (c - project(listenerVelocity)) / (c - project(sourceVelocity));
+    }
+
+    /**
+     * Update listener orientation (from mouse look)
+     */
+    updateListenerOrientation(yaw = 0, pitch = 0) {
+        this.listenerOrientation = { yaw, pitch };
+        this.applyListenerOrientation();
+
+        // Head-locked sources swing around with the listener
+        this.updateHeadLockedPositions();
+
+        // Ambisonic sources are encoded head-relative, so turning re-encodes them
+        // (head-locked ones also need their panners moved)
+        this.sources.forEach(source => {
+            if (this.renderer === 'ambisonic' || source.anchor === 'head') {
+                this.updateSourceSpatialization(source);
+                this.updateReverbSend(source);
+            }
+        });
+    }
+
+    /**
+     * Anchor a source to the world or to the listener's head
+     * Switching keeps the source where it is right now
+     */
+    setSourceAnchor(sourceId, anchor) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.anchor = anchor === 'head' ? 'head' : 'world';
+        source.headOffset = source.anchor === 'head'
+            ? this.computeHeadOffset(source.position, this.listener, this.listenerOrientation)
+            : null;
+
+        // Back in the world, paths and behaviors start from here
+        if (source.anchor === 'world') {
+            source.homePosition = { ...source.position };
+        }
+    }
+
+    /**
+     * Move head-locked sources to their offsets from the current listener pose
+     * teleport: the listener jumped, so they jump too without implying motion
+     */
+    updateHeadLockedPositions(teleport = false) {
+        this.sources.forEach(source => {
+            if (source.anchor !== 'head') return;
+
+            source.position = this.getAnchoredPosition(source, this.listener, this.listenerOrientation);
+            if (teleport) {
+                source.motion = this.createMotionState(source.position);
+            }
+        });
+    }
+
+    /**
+     * World position of a source for a listener pose
+     * Head offsets turn with yaw only, so pitching the head doesn't move sources
+     */
+    getAnchoredPosition(source, listener, orientation) {
+        if (source.anchor !== 'head' || !source.headOffset) return source.position;
+
+        const { right, up, forward } = source.headOffset;
+        const yawRad = orientation.yaw * (Math.PI / 180);
+        const sinYaw = Math.sin(yawRad);
+        const cosYaw = Math.cos(yawRad);
+
+        return {
+            x: listener.x + right * cosYaw + forward * sinYaw,
+            y: listener.y + up,
+            z: listener.z - right * sinYaw + forward * cosYaw
+        };
+    }
+
+    /**
+     * Offset of a world position from a listener pose (yaw only)
+     * Returns { right, up, forward }
+     */
+    computeHeadOffset(position, listener, orientation) {
+        const dx = position.x - listener.x;
+        const dz = position.z - listener.z;
+        const yawRad = orientation.yaw * (Math.PI / 180);
+        const sinYaw = Math.sin(yawRad);
+        const cosYaw = Math.cos(yawRad);
+
+        return {
+            right: dx * cosYaw - dz * sinYaw,
+            up: position.y - listener.y,
+            forward: dx * sinYaw + dz * cosYaw
+        };
+    }
+
+    /**
+     * Point the AudioListener along the current yaw/pitch
+     * The ambisonic renderer rotates the soundfield itself, so its decoder
+     * speakers need a listener that stays facing forward
+     * immediate: jump instead of gliding (renderer switch)
+     */
+    applyListenerOrientation(immediate = false) {
+        if (!this.audioContext || !this.audioContext.listener) return;
+
+        const ambisonic = this.renderer === 'ambisonic';
+        const yaw = ambisonic ? 0 : this.listenerOrientation.yaw;
+        const pitch = ambisonic ? 0 : this.listenerOrientation.pitch;
+
+        const { x: forwardX, y: forwardY, z: forwardZ } = this.getListenerForward(yaw, pitch);
+
+        // Up vector (slightly affected by pitch, but generally pointing up)
+        const upX = 0;
+        const upY = 1;
+        const upZ = 0;
+
+        // Use modern API if available
+        const listener = this.audioContext.listener;
+        if (listener.forwardX) {
+            this.setParam(listener.forwardX, forwardX, immediate);
+            this.setParam(listener.forwardY, forwardY, immediate);
+            this.setParam(listener.forwardZ, forwardZ, immediate);
+            this.setParam(listener.upX, upX, immediate);
+            this.setParam(listener.upY, upY, immediate);
+            this.setParam(listener.upZ, upZ, immediate);
+        } else if (this.audioContext.listener.setOrientation) {
+            // Fallback to deprecated API
+            this.audioContext.listener.setOrientation(forwardX, forwardY, forwardZ, upX, upY, upZ);
+        }
+    }
+
+    /**
+     * Listener forward vector in Web Audio coordinates
+     */
+    getListenerForward(yaw, pitch) {
+        // Convert yaw (horizontal rotation, degrees) and pitch (vertical rotation, degrees) to radians
+        const yawRad = yaw * (Math.PI / 180);
+        const pitchRad = pitch * (Math.PI / 180);
+
+        // Forward in the world frame (0° yaw = north), then into Web Audio's
+        return this.toAudioFrame({
+            x: Math.sin(yawRad) * Math.cos(pitchRad),
+            y: Math.sin(pitchRad),
+            z: Math.cos(yawRad) * Math.cos(pitchRad)
+        });
+    }
+
+    /**
+     * World-frame vector in Web Audio coordinates
+     * (+X right, +Y up, -Z forward: world north becomes -Z)
+     */
+    toAudioFrame(vector) {
+        return { x: vector.x, y: vector.y, z: -vector.z };
+    }
+
+    /**
+     * Update a source's panners or ambisonic encoding and its distance filtering
+     * immediate: jump instead of gliding (freshly built nodes)
+     */
+    updateSourceSpatialization(source, immediate = false) {
+        const positions = this.getEmitterPositions(source, source.position);
+
+        source.emitters.forEach((emitter, i) => {
+            if (emitter.panner) {
+                this.updateSourcePosition(emitter.panner, positions[i], immediate);
+            } else if (emitter.encoder) {
+                this.updateEmitterEncoding(source, emitter, positions[i], immediate);
+            }
+        });
+        this.updateAirAbsorption(source, immediate);
+        this.updateOcclusion(source, immediate);
+    }
+
+    /**
+     * Update panner position relative to listener
+     */
+    updateSourcePosition(panner, sourcePosition, immediate = false) {
+        const { x: relativeX, y: relativeY, z: relativeZ } = this.getPannerPosition(sourcePosition, this.listener);
+
+        if (panner.positionX) {
+            // Use new API if available
+            this.setParam(panner.positionX, relativeX, immediate);
+            this.setParam(panner.positionY, relativeY, immediate);
+            this.setParam(panner.positionZ, relativeZ, immediate);
+        } else {
+            // Fallback to old API
+            panner.setPosition(relativeX, relativeY, relativeZ);
+        }
+    }
+
+    /**
+     * Panner position for a source heard from a listener position
+     * (relative to the listener, in Web Audio coordinates)
+     */
+    getPannerPosition(sourcePosition, listener) {
+        return this.toAudioFrame({
+            x: sourcePosition.x - listener.x,
+            y: sourcePosition.y - listener.y,
+            z: sourcePosition.z - listener.z
+        });
+    }
+
+    /**
+     * Encode an ambisonic emitter at its head-relative direction, applying the
+     * distance model and cone in place of the PannerNode
+     */
+    updateEmitterEncoding(source, emitter, position, immediate = false) {
+        const direction = this.getHeadRelativeDirection(position, this.listener, this.listenerOrientation);
+        const ramp = immediate ? null : { timeConstant: this.smoothingTime };
+
+        emitter.encoder.setDirection(direction.x, direction.y, direction.z, ramp);
+        this.setParam(emitter.spatialGain.gain, this.computeSpatialGain(source, this.listener, direction.distance), immediate);
+    }
+
+    /**
+     * Distance and cone attenuation the ambisonic path applies by hand
+     */
+    computeSpatialGain(source, listener, distance) {
+        return this.computeDistanceGain(source.distance, distance) *
+            this.computeConeGain(source.cone, source.position, listener);
+    }
+
+    /**
+     * Direction from a listener's head to a world position
+     * orientation = { yaw, pitch } in degrees
+     * Returns a unit vector in the ambisonic frame (+x front, +y left, +z up)
+     * plus the distance
+     */
+    getHeadRelativeDirection(position, listener, orientation) {
+        const dx = position.x - listener.x;
+        const dy = position.y - listener.y;
+        const dz = position.z - listener.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        // Straight ahead when on top of the listener
+        if (distance < 1e-6) return { x: 1, y: 0, z: 0, distance: 0 };
+
+        const yawRad = orientation.yaw * (Math.PI / 180);
+        const pitchRad = orientation.pitch * (Math.PI / 180);
+        const sinYaw = Math.sin(yawRad);
+        const cosYaw = Math.cos(yawRad);
+        const sinPitch = Math.sin(pitchRad);
+        const cosPitch = Math.cos(pitchRad);
+
+        // Project onto the head's forward, right and up axes (world frame,
+        // the same axes the panners get through toAudioFrame)
+        const front = dx * sinYaw * cosPitch + dy * sinPitch + dz * cosYaw * cosPitch;
+        const right = dx * cosYaw - dz * sinYaw;
+        const up = -dx * sinYaw * sinPitch + dy * cosPitch - dz * cosYaw * sinPitch;
+
+        return {
+            x: front / distance,
+            y: -right / distance,
+            z: up / distance,
+            distance
+        };
+    }
+
+    /**
+     * Cone gain toward a listener (Web Audio spec cone formula)
+     */
+    computeConeGain(cone, sourcePosition, listenerPosition) {
+        if (cone.innerAngle >= 360 && cone.outerAngle >= 360) return 1;
+
+        const dx = listenerPosition.x - sourcePosition.x;
+        const dy = listenerPosition.y - sourcePosition.y;
+        const dz = listenerPosition.z - sourcePosition.z;
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (length < 1e-6) return 1;
+
+        const yawRad = cone.yaw * (Math.PI / 180);
+        const dot = (dx * Math.sin(yawRad) + dz * Math.cos(yawRad)) / length;
+        const angle = Math.acos(Math.max(-1, Math.min(1, dot))) * (180 / Math.PI);
+
+        const halfInner = cone.innerAngle / 2;
+        const halfOuter = cone.outerAngle / 2;
+
+        if (angle <= halfInner) return 1;
+        if (angle >= halfOuter) return cone.outerGain;
+
+        const x = (angle - halfInner) / (halfOuter - halfInner);
+        return (1 - x) + cone.outerGain * x;
+    }
+
+    /**
+     * Get distance between two positions
+     */
+    getDistance(pos1, pos2) {
+        const dx = pos2.x - pos1.x;
+        const dy = pos2.y - pos1.y;
+        const dz = pos2.z - pos1.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    /**
+     * Get distance from listener to a source
+     */
+    getDistanceToSource(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source) return Infinity;
+        return this.getDistance(this.listener, source.position);
+    }
+
+    /**
+     * Get angle to source in degrees (0-360)
+     */
+    getAngleToSource(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source) return 0;
+
+        const dx = source.position.x - this.listener.x;
+        const dz = source.position.z - this.listener.z;
+
+        let angle = Math.atan2(dx, dz) * (180 / Math.PI);
+        if (angle < 0) angle += 360;
+
+        return angle;
+    }
+
+    /**
+     * Snapshot where sources are: position, home, path keyframes and facing
+     * Used for undo; restorePlacement() puts a snapshot back
+     */
+    capturePlacement(sourceIds) {
+        return sourceIds.map(sourceId => this.sources.get(sourceId)).filter(Boolean).map(source => ({
+            id: source.id,
+            position: { ...source.position },
+            homePosition: { ...source.homePosition },
+            headOffset: source.headOffset ? { ...source.headOffset } : null,
+            keyframes: source.path.keyframes.map(keyframe => ({
+                time: keyframe.time,
+                position: { ...keyframe.position }
+            })),
+            coneYaw: source.cone.yaw
+        }));
+    }
+
+    /**
+     * Put sources back where a capturePlacement() snapshot had them
+     * (a jump, not motion)
+     */
+    restorePlacement(snapshot) {
+        snapshot.forEach(placement => {
+            const source = this.sources.get(placement.id);
+            if (!source) return;
+
+            source.path.keyframes = placement.keyframes.map(keyframe => ({
+                time: keyframe.time,
+                position: { ...keyframe.position }
+            }));
+            this.setSourcePosition(source.id, placement.position, true);
+            source.homePosition = { ...placement.homePosition };
+            source.headOffset = placement.headOffset ? { ...placement.headOffset } : null;
+            this.setSourceCone(source.id, { yaw: placement.coneYaw });
+        });
+    }
+
+    /**
+     * Get all sources (for UI display)
+     */
+    getSources() {
+        return Array.from(this.sources.values());
+    }
+
+    /**
+     * Get source by ID
+     */
+    getSource(sourceId) {
+        return this.sources.get(sourceId);
+    }
+
+    /**
+     * Toggle source lock state
+     */
+    toggleSourceLock(sourceId) {
+        const source = this.sources.get(sourceId);
+        if (!source) return false;
+
+        source.locked = !source.locked;
+        return source.locked;
+    }
+
+    /**
+     * Set source lock state
+     */
+    setSourceLocked(sourceId, locked) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.locked = locked;
+    }
+
+    /**
+     * Create an empty source group, returns its id
+     */
+    createGroup(name) {
+        return this.groups.addGroup(name);
+    }
+
+    /**
+     * Delete a group; its members stay in the scene ungrouped
+     */
+    removeGroup(groupId) {
+        this.getGroupMembers(groupId).forEach(source => {
+            source.groupId = null;
+        });
+        this.groups.removeGroup(groupId);
+    }
+
+    /**
+     * Put a source in a group (null takes it out of its group)
+     */
+    setSourceGroup(sourceId, groupId) {
+        const source = this.sources.get(sourceId);
+        if (!source) return;
+
+        source.groupId = this.groups.getGroup(groupId) ? groupId : null;
+    }
+
+    getGroupMembers(groupId) {
+        return this.getSources().filter(source => source.groupId === groupId);
+    }
+
+    /**
+     * Centroid of a group's members, or null for an empty group
+     */
+    getGroupCenter(groupId) {
+        const members = this.getGroupMembers(groupId);
+        if (members.length === 0) return null;
+
+        const center = { x: 0, y: 0, z: 0 };
+        members.forEach(source => {
+            center.x += source.position.x / members.length;
+            center.y += source.position.y / members.length;
+            center.z += source.position.z / members.length;
+        });
+        return center;
+    }
+
+    /**
+     * Mute, solo or lock every member of a group
+     */
+    setGroupMuted(groupId, muted) {
+        this.getGroupMembers(groupId).forEach(source => {
+            source.muted = muted;
+        });
+        this.updateMixGains();
+    }
+
+    /**
+     * exclusive = true clears every other solo first
+     */
+    setGroupSolo(groupId, solo, exclusive = false) {
+        if (exclusive) {
+            this.sources.forEach(source => {
+                source.solo = false;
+            });
+        }
+
+        this.getGroupMembers(groupId).forEach(source => {
+            source.solo = solo;
+        });
+        this.updateMixGains();
+    }
+
+    setGroupLocked(groupId, locked) {
+        this.getGroupMembers(groupId).forEach(source => {
+            source.locked = locked;
+        });
+    }
+
+    /**
+     * Shift a group in the x/z plane
+     */
+    moveGroup(groupId, dx, dz, teleport = false) {
+        this.transformGroup(groupId, point => ({ x: point.x + dx, y: point.y, z: point.z + dz }), 0, teleport);
+    }
+
+    /**
+     * Turn a group clockwise (seen from above) around a pivot
+     * Defaults to the group center; members' cones turn with it
+     */
+    rotateGroup(groupId, degrees, pivot = this.getGroupCenter(groupId), teleport = false) {
+        if (!pivot) return;
+
+        const angle = degrees * (Math.PI / 180);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        this.transformGroup(groupId, point => {
+            const dx = point.x - pivot.x;
+            const dz = point.z - pivot.z;
+            return {
+                x: pivot.x + dx * cos + dz * sin,
+                y: point.y,
+                z: pivot.z - dx * sin + dz * cos
+            };
+        }, degrees, teleport);
+    }
+
+    /**
+     * Spread a group out (factor > 1) or pull it in around a pivot
+     * Heights stay as they are
+     */
+    scaleGroup(groupId, factor, pivot = this.getGroupCenter(groupId), teleport = false) {
+        if (!pivot || !(factor > 0)) return;
+
+        this.transformGroup(groupId, point => ({
+            x: pivot.x + (point.x - pivot.x) * factor,
+            y: point.y,
+            z: pivot.z + (point.z - pivot.z) * factor
+        }), 0, teleport);
+    }
+
+    /**
+     * Apply a point transform to every unlocked member of a group, including
+     * motion path keyframes, and turn their cones by yawDelta degrees
+     */
+    transformGroup(groupId, transform, yawDelta = 0, teleport = false) {
+        this.transformSources(this.getGroupMembers(groupId), transform, yawDelta, teleport);
+    }
+
+    /**
+     * Apply a point transform to unlocked sources (see transformGroup)
+     */
+    transformSources(sources, transform, yawDelta = 0, teleport = false) {
+        sources.forEach(source => {
+            if (source.locked) return;
+
+            // Moving sources only need a new home; the next tick places them
+            if (this.isSourceMoving(source)) {
+                source.homePosition = transform(source.homePosition);
+            } else {
+                this.setSourcePosition(source.id, transform(source.position), teleport);
+            }
+
+            source.path.keyframes.forEach((keyframe, index) => {
+                source.path.moveKeyframe(index, transform(keyframe.position));
+            });
+
+            if (yawDelta !== 0) {
+                this.setSourceCone(source.id, { yaw: source.cone.yaw + yawDelta });
+            }
+        });
+    }
+
+    /**
+     * Jump sources to new positions (align, distribute, arc layouts)
+     * targets: [{ id, position }]; each source's home and path shift with it
+     */
+    arrangeSources(targets) {
+        targets.forEach(({ id, position }) => {
+            const source = this.sources.get(id);
+            if (!source) return;
+
+            const dx = position.x - source.position.x;
+            const dy = position.y - source.position.y;
+            const dz = position.z - source.position.z;
+            this.transformSources([source], point => ({ x: point.x + dx, y: point.y + dy, z: point.z + dz }), 0, true);
+        });
+    }
+
+    /**
+     * Swap sources left and right across the listener's facing line,
+     * cones included
+     */
+    mirrorSources(sourceIds) {
+        const facing = this.listenerOrientation.yaw;
+        const sources = sourceIds.map(id => this.sources.get(id)).filter(source => source && !source.locked);
+
+        this.transformSources(sources, point => SourceLayout.mirrorPoint(point, this.listener, facing), 0, true);
+        sources.forEach(source => {
+            this.setSourceCone(source.id, { yaw: SourceLayout.mirrorYaw(source.cone.yaw, facing) });
+        });
     }
 }
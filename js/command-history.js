@@ -0,0 +1,93 @@
+/**
+ * Command History for SHAC Simulator
+ * Undo/redo stack for scene edits
+ *
+ * Edits are applied by the UI as usual and then recorded as commands
+ * ({ label, undo(), redo() }), so recording never re-runs an edit.
+ * Most commands are snapshots: the state before and after the edit plus a
+ * function that puts a snapshot back.
+ */
+
+class CommandHistory {
+    constructor(limit = 100) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = limit; // Oldest entries drop off past this
+        this.onChange = null; // Callback() after push, undo or redo
+    }
+
+    /**
+     * Record an edit that has already been applied
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Record a snapshot edit: restore(before) undoes it, restore(after) redoes it
+     * Edits that changed nothing (a click without a drag) aren't recorded
+     */
+    pushSnapshot(label, before, after, restore) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.push({
+            label,
+            undo: () => restore(before),
+            redo: () => restore(after)
+        });
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Labels of the next undo and redo (null when there's nothing)
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+}
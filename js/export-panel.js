@@ -0,0 +1,196 @@
+/**
+ * Export Panel for SHAC Simulator
+ * Modal for bouncing the scene to a WAV file
+ */
+
+class ExportPanel {
+    constructor(audioEngine, movement, exporter) {
+        this.audioEngine = audioEngine;
+        this.movement = movement;
+        this.exporter = exporter;
+        this.isRendering = false;
+
+        this.modalEl = document.getElementById('export-modal');
+        this.openBtn = document.getElementById('export-btn');
+        this.cancelBtn = document.getElementById('export-cancel');
+        this.renderBtn = document.getElementById('export-render');
+        this.startInput = document.getElementById('export-start');
+        this.durationInput = document.getElementById('export-duration');
+        this.formatSelect = document.getElementById('export-format');
+        this.bitDepthSelect = document.getElementById('export-bit-depth');
+        this.listenerModeInputs = document.querySelectorAll('input[name="export-listener"]');
+        this.staticSection = document.getElementById('export-static');
+        this.pathSection = document.getElementById('export-path');
+        this.poseInputs = {
+            x: document.getElementById('export-x'),
+            y: document.getElementById('export-y'),
+            z: document.getElementById('export-z'),
+            yaw: document.getElementById('export-yaw'),
+            pitch: document.getElementById('export-pitch')
+        };
+        this.recordBtn = document.getElementById('export-record-path');
+        this.pathStatusEl = document.getElementById('export-path-status');
+        this.statusEl = document.getElementById('export-status');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // While a path is recording, the toolbar button stops it
+        this.openBtn.addEventListener('click', () => {
+            if (this.exporter.isRecordingPath) {
+                this.toggleRecording();
+            } else {
+                this.open();
+            }
+        });
+        this.cancelBtn.addEventListener('click', () => this.close());
+
+        this.listenerModeInputs.forEach(input => {
+            input.addEventListener('change', () => this.updateListenerMode());
+        });
+
+        this.recordBtn.addEventListener('click', () => this.toggleRecording());
+        this.renderBtn.addEventListener('click', () => this.render());
+    }
+
+    /**
+     * Show the dialog, prefilled with the current listener pose and timeline
+     */
+    open() {
+        const position = this.movement.getPosition();
+        this.poseInputs.x.value = position.x.toFixed(1);
+        this.poseInputs.y.value = position.y.toFixed(1);
+        this.poseInputs.z.value = position.z.toFixed(1);
+        this.poseInputs.yaw.value = Math.round(this.movement.getFacing());
+        this.poseInputs.pitch.value = Math.round(this.movement.getPitch());
+
+        const duration = this.audioEngine.getDuration();
+        this.startInput.value = this.audioEngine.getCurrentTime().toFixed(1);
+        this.durationInput.value = Math.ceil(duration || 30);
+
+        this.statusEl.textContent = '';
+        this.updateListenerMode();
+        this.updatePathStatus();
+        this.modalEl.classList.remove('hidden');
+    }
+
+    close() {
+        if (this.isRendering) return;
+        this.modalEl.classList.add('hidden');
+    }
+
+    getListenerMode() {
+        const checked = Array.from(this.listenerModeInputs).find(input => input.checked);
+        return checked ? checked.value : 'static';
+    }
+
+    updateListenerMode() {
+        const usePath = this.getListenerMode() === 'path';
+        this.staticSection.classList.toggle('hidden', usePath);
+        this.pathSection.classList.toggle('hidden', !usePath);
+    }
+
+    /**
+     * Record a listener path: the dialog hides so you can walk the scene,
+     * and the toolbar button stops recording
+     */
+    toggleRecording() {
+        if (this.exporter.isRecordingPath) {
+            this.exporter.stopPathRecording();
+            this.openBtn.querySelector('span').textContent = '⬇ Export';
+            this.open();
+            // Keep the path mode selected after recording
+            this.listenerModeInputs.forEach(input => {
+                input.checked = input.value === 'path';
+            });
+            this.updateListenerMode();
+            this.durationInput.value = Math.max(1, Math.ceil(this.exporter.getRecordedPathDuration()));
+        } else {
+            this.exporter.startPathRecording();
+            this.modalEl.classList.add('hidden');
+            this.openBtn.querySelector('span').textContent = '⏹ Stop Path';
+            console.log('Recording listener path - walk the scene, then click Stop Path');
+        }
+    }
+
+    updatePathStatus() {
+        const duration = this.exporter.getRecordedPathDuration();
+        this.pathStatusEl.textContent = duration > 0
+            ? `Recorded path: ${duration.toFixed(1)} s`
+            : 'No path recorded';
+        this.recordBtn.textContent = duration > 0 ? '⏺ Re-record Path' : '⏺ Record Path';
+    }
+
+    /**
+     * Read the form and render the bounce
+     */
+    async render() {
+        if (this.isRendering) return;
+
+        const start = parseFloat(this.startInput.value);
+        const duration = parseFloat(this.durationInput.value);
+        const bitDepth = parseInt(this.bitDepthSelect.value);
+        const format = this.formatSelect.value; // binaural | ambix-1 | ambix-3
+
+        if (isNaN(start) || start < 0 || isNaN(duration) || duration <= 0) {
+            alert('Please enter a valid start time and duration');
+            return;
+        }
+
+        if (this.audioEngine.getSources().length === 0) {
+            alert('Add some audio files before exporting');
+            return;
+        }
+
+        let listener = null;
+        if (this.getListenerMode() === 'path') {
+            if (this.exporter.recordedPath.length === 0) {
+                alert('Record a listener path first');
+                return;
+            }
+        } else {
+            const pose = {};
+            for (const [key, input] of Object.entries(this.poseInputs)) {
+                pose[key] = parseFloat(input.value);
+                if (isNaN(pose[key])) {
+                    alert('Please enter valid numbers for the listener position and facing');
+                    return;
+                }
+            }
+            listener = {
+                position: { x: pose.x, y: pose.y, z: pose.z },
+                yaw: pose.yaw,
+                pitch: pose.pitch
+            };
+        }
+
+        this.isRendering = true;
+        this.renderBtn.disabled = true;
+        this.statusEl.textContent = 'Rendering…';
+
+        try {
+            let buffer;
+            let filename;
+            if (format === 'binaural') {
+                buffer = await this.exporter.renderBinaural({ start, duration, listener });
+                filename = `shac-binaural-${bitDepth}bit.wav`;
+            } else {
+                const order = parseInt(format.split('-')[1]);
+                buffer = await this.exporter.renderAmbiX({ start, duration, order, listener });
+                filename = `shac-ambix-o${order}-${bitDepth}bit.wav`;
+            }
+
+            const blob = WavEncoder.encode(buffer, bitDepth);
+            WavEncoder.download(blob, filename);
+            this.statusEl.textContent = `✓ Exported ${duration.toFixed(1)} s`;
+            console.log(`✓ Exported ${filename} (${buffer.numberOfChannels} channels, ${duration}s)`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.statusEl.textContent = 'Export failed - see console';
+        } finally {
+            this.isRendering = false;
+            this.renderBtn.disabled = false;
+        }
+    }
+}
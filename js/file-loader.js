@@ -9,6 +9,7 @@ class FileLoader {
         this.onFilesLoaded = onFilesLoaded; // Callback when files are loaded
 
         this.fileInput = document.getElementById('file-input');
+        this.wideToggle = document.getElementById('import-wide'); // Import multichannel files as wide sources
 
         this.setupEventListeners();
     }
@@ -54,11 +55,13 @@ class FileLoader {
                 // Default position: in front of listener, spread out if multiple files
                 const position = this.getDefaultPosition(loadedSources.length);
 
-                // Create source at default position
+                // Create source at default position (split into emitters if asked)
+                const wide = this.wideToggle.checked && audioBuffer.numberOfChannels > 1;
                 const sourceId = this.audioEngine.createSource(
                     audioBuffer,
                     file.name,
-                    position
+                    position,
+                    wide
                 );
 
                 loadedSources.push({
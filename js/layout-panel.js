@@ -0,0 +1,127 @@
+/**
+ * Layout Panel for SHAC Simulator
+ * Align, distribute, arc/circle and mirror commands for the sources
+ * selected on the map (see source-layout.js)
+ */
+
+class LayoutPanel {
+    constructor(audioEngine, visualization, history) {
+        this.audioEngine = audioEngine;
+        this.visualization = visualization;
+        this.history = history;
+
+        this.panelEl = document.getElementById('layout-panel');
+        this.toggleBtn = document.getElementById('layout-toggle-btn');
+        this.statusEl = document.getElementById('layout-status');
+        this.alignButtons = this.panelEl.querySelectorAll('.layout-align');
+        this.distributeBtn = document.getElementById('layout-distribute');
+        this.mirrorBtn = document.getElementById('layout-mirror');
+        this.radiusInput = document.getElementById('layout-radius');
+        this.radiusValue = document.getElementById('layout-radius-value');
+        this.spanInput = document.getElementById('layout-span');
+        this.spanValue = document.getElementById('layout-span-value');
+        this.arcBtn = document.getElementById('layout-arc');
+        this.circleBtn = document.getElementById('layout-circle');
+        this.selectAllBtn = document.getElementById('layout-select-all');
+        this.selectNoneBtn = document.getElementById('layout-select-none');
+
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        this.toggleBtn.addEventListener('click', () => {
+            const opening = this.panelEl.classList.contains('hidden');
+
+            // Side panels share the same spot
+            document.querySelectorAll('.side-panel').forEach(panel => panel.classList.add('hidden'));
+            this.panelEl.classList.toggle('hidden', !opening);
+        });
+
+        this.alignButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const axis = button.dataset.axis;
+                this.arrange(`Align ${axis === 'y' ? 'height' : axis.toUpperCase()}`,
+                    positions => SourceLayout.align(positions, axis));
+            });
+        });
+
+        this.distributeBtn.addEventListener('click', () => {
+            this.arrange('Distribute', positions => SourceLayout.distribute(positions));
+        });
+
+        this.arcBtn.addEventListener('click', () => this.arrangeAround('Arc', parseFloat(this.spanInput.value)));
+        this.circleBtn.addEventListener('click', () => this.arrangeAround('Circle', 360));
+
+        this.mirrorBtn.addEventListener('click', () => {
+            this.record('Mirror', ids => this.audioEngine.mirrorSources(ids));
+        });
+
+        this.radiusInput.addEventListener('input', () => this.refresh());
+        this.spanInput.addEventListener('input', () => this.refresh());
+
+        this.selectAllBtn.addEventListener('click', () => {
+            this.visualization.setSelection(this.audioEngine.getSources().filter(s => !s.locked).map(s => s.id));
+        });
+        this.selectNoneBtn.addEventListener('click', () => this.visualization.setSelection([]));
+
+        this.visualization.onSelectionChange = () => this.refresh();
+    }
+
+    /**
+     * Move the selection to the positions a layout function returns
+     */
+    arrange(label, layout) {
+        this.record(label, ids => {
+            const positions = ids.map(id => this.audioEngine.getSource(id).position);
+            const targets = layout(positions);
+            this.audioEngine.arrangeSources(ids.map((id, i) => ({ id, position: targets[i] })));
+        });
+    }
+
+    /**
+     * Arc (span in degrees) or circle around the listener, centered on
+     * where the listener faces
+     */
+    arrangeAround(label, span) {
+        const radius = parseFloat(this.radiusInput.value);
+        const { listener, listenerOrientation } = this.audioEngine;
+        this.arrange(label, positions => SourceLayout.arc(positions, listener, radius, span, listenerOrientation.yaw));
+    }
+
+    /**
+     * Run a command on the selected sources as one undo step
+     */
+    record(label, command) {
+        const ids = this.visualization.getSelectedSources().map(source => source.id);
+        if (ids.length === 0) return;
+
+        const before = this.audioEngine.capturePlacement(ids);
+        command(ids);
+        const after = this.audioEngine.capturePlacement(ids);
+        this.history.pushSnapshot(label, before, after, snapshot => this.audioEngine.restorePlacement(snapshot));
+        console.log(`✓ ${label}: ${ids.length} source${ids.length === 1 ? '' : 's'}`);
+    }
+
+    /**
+     * Sync labels and buttons with the selection
+     * Align needs two sources, distribute three, the rest one
+     */
+    refresh() {
+        const count = this.visualization.getSelectedSources().length;
+
+        this.radiusValue.textContent = `${parseFloat(this.radiusInput.value).toFixed(1)} m`;
+        this.spanValue.textContent = `${this.spanInput.value}°`;
+
+        this.alignButtons.forEach(button => { button.disabled = count < 2; });
+        this.distributeBtn.disabled = count < 3;
+        this.mirrorBtn.disabled = count < 1;
+        this.arcBtn.disabled = count < 1;
+        this.circleBtn.disabled = count < 1;
+        this.selectNoneBtn.disabled = count === 0;
+
+        this.statusEl.textContent = count === 0
+            ? 'Shift+click or drag a box on the map to select sources'
+            : `${count} source${count === 1 ? '' : 's'} selected`;
+    }
+}
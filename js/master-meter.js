@@ -0,0 +1,77 @@
+/**
+ * Master Meter for SHAC Simulator
+ * Shows peak/RMS levels of the binaural output, a latching clip light
+ * and the master limiter toggle
+ */
+
+class MasterMeter {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+
+        this.rmsBars = [
+            document.getElementById('meter-rms-l'),
+            document.getElementById('meter-rms-r')
+        ];
+        this.peakBars = [
+            document.getElementById('meter-peak-l'),
+            document.getElementById('meter-peak-r')
+        ];
+        this.clipIndicator = document.getElementById('clip-indicator');
+        this.limiterToggle = document.getElementById('limiter-toggle');
+
+        // Meter scale
+        this.minDb = -60;
+        this.maxDb = 0;
+
+        // Peak hold with slow fall-off (dB per second)
+        this.heldPeaks = [-Infinity, -Infinity];
+        this.peakFallRate = 20;
+        this.lastUpdate = performance.now();
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Clip light stays on until clicked
+        this.clipIndicator.addEventListener('click', () => {
+            this.audioEngine.resetClip();
+            this.clipIndicator.classList.remove('clipped');
+        });
+
+        this.limiterToggle.checked = this.audioEngine.limiterEnabled;
+        this.limiterToggle.addEventListener('change', () => {
+            this.audioEngine.setLimiterEnabled(this.limiterToggle.checked);
+        });
+    }
+
+    /**
+     * Refresh meters (called every frame)
+     */
+    update() {
+        const now = performance.now();
+        const elapsed = (now - this.lastUpdate) / 1000;
+        this.lastUpdate = now;
+
+        const levels = this.audioEngine.getMasterLevels();
+
+        for (let channel = 0; channel < 2; channel++) {
+            // Hold the peak, then let it fall
+            const fallen = this.heldPeaks[channel] - this.peakFallRate * elapsed;
+            this.heldPeaks[channel] = Math.max(levels.peak[channel], fallen);
+
+            this.rmsBars[channel].style.width = `${this.dbToPercent(levels.rms[channel])}%`;
+            this.peakBars[channel].style.left = `${this.dbToPercent(this.heldPeaks[channel])}%`;
+        }
+
+        this.clipIndicator.classList.toggle('clipped', levels.clipped);
+    }
+
+    /**
+     * Map a level in dB onto the meter width
+     */
+    dbToPercent(db) {
+        if (!isFinite(db)) return 0;
+        const clamped = Math.max(this.minDb, Math.min(this.maxDb, db));
+        return ((clamped - this.minDb) / (this.maxDb - this.minDb)) * 100;
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Motion Behaviors for SHAC Simulator
+ * Procedural movement attached to a source, driven by transport time
+ *
+ * Behaviors stack in order on top of the source's home position (where it
+ * was placed, or its motion path position):
+ * - Orbit: circle around home or around the listener
+ * - Oscillate: sine swing along one world axis
+ * - Random walk: smooth wandering that never leaves a radius around home
+ *
+ * Every behavior is a pure function of time, so seeking, looping and
+ * offline export all land on the same positions.
+ */
+
+class MotionBehaviors {
+    /**
+     * Behavior types with their editable fields and defaults
+     * Fields without options are numbers
+     */
+    static get TYPES() {
+        return {
+            orbit: {
+                label: 'Orbit',
+                fields: [
+                    { key: 'center', label: 'Around', options: { home: 'Home', listener: 'Listener' } },
+                    { key: 'radius', label: 'Radius', step: 0.5 },
+                    { key: 'period', label: 'Period s', step: 0.5 },
+                    { key: 'direction', label: 'Turn', options: { cw: 'Clockwise', ccw: 'Counter' } },
+                    { key: 'phase', label: 'Start°', step: 15 }
+                ],
+                defaults: { center: 'home', radius: 5, period: 8, direction: 'cw', phase: 0 }
+            },
+            oscillate: {
+                label: 'Oscillate',
+                fields: [
+                    { key: 'axis', label: 'Axis', options: { x: 'X (east)', y: 'Y (up)', z: 'Z (north)' } },
+                    { key: 'amplitude', label: 'Amount', step: 0.5 },
+                    { key: 'period', label: 'Period s', step: 0.5 },
+                    { key: 'phase', label: 'Phase°', step: 15 }
+                ],
+                defaults: { axis: 'x', amplitude: 2, period: 4, phase: 0 }
+            },
+            randomWalk: {
+                label: 'Random Walk',
+                fields: [
+                    { key: 'radius', label: 'Radius', step: 0.5 },
+                    { key: 'speed', label: 'Speed', step: 0.1 },
+                    { key: 'seed', label: 'Seed', step: 1 }
+                ],
+                defaults: { radius: 4, speed: 0.5, seed: 1 }
+            }
+        };
+    }
+
+    /**
+     * New behavior of a type with default settings
+     */
+    static create(type) {
+        const definition = MotionBehaviors.TYPES[type];
+        if (!definition) return null;
+
+        return { type, enabled: true, ...definition.defaults };
+    }
+
+    /**
+     * Merge settings into a behavior, keeping values in range
+     */
+    static update(behavior, settings) {
+        const updated = { ...behavior, ...settings };
+        updated.enabled = !!updated.enabled;
+
+        if ('period' in updated) updated.period = Math.max(0.1, updated.period);
+        if ('radius' in updated) updated.radius = Math.max(0, updated.radius);
+        if ('speed' in updated) updated.speed = Math.max(0.01, Math.min(10, updated.speed));
+        if ('seed' in updated) updated.seed = Math.round(updated.seed);
+
+        return updated;
+    }
+
+    static isActive(behaviors) {
+        return behaviors.some(behavior => behavior.enabled);
+    }
+
+    /**
+     * Position after applying every enabled behavior to a home position
+     * time: timeline seconds, listener: { x, y, z } for listener orbits
+     */
+    static apply(behaviors, home, time, listener) {
+        let position = { x: home.x, y: home.y, z: home.z };
+
+        behaviors.forEach(behavior => {
+            if (!behavior.enabled) return;
+
+            if (behavior.type === 'orbit') {
+                position = MotionBehaviors.orbit(behavior, position, time, listener);
+            } else if (behavior.type === 'oscillate') {
+                position = MotionBehaviors.oscillate(behavior, position, time);
+            } else if (behavior.type === 'randomWalk') {
+                position = MotionBehaviors.randomWalk(behavior, position, time);
+            }
+        });
+
+        return position;
+    }
+
+    /**
+     * Circle in the x/z plane (angle 0 = north of the center, like yaw)
+     */
+    static orbit(behavior, position, time, listener) {
+        const center = behavior.center === 'listener' ? listener : position;
+        const turn = behavior.direction === 'ccw' ? -1 : 1;
+        const angle = behavior.phase * (Math.PI / 180) + turn * 2 * Math.PI * time / behavior.period;
+
+        return {
+            x: center.x + Math.sin(angle) * behavior.radius,
+            y: position.y,
+            z: center.z + Math.cos(angle) * behavior.radius
+        };
+    }
+
+    static oscillate(behavior, position, time) {
+        const angle = behavior.phase * (Math.PI / 180) + 2 * Math.PI * time / behavior.period;
+        return {
+            ...position,
+            [behavior.axis]: position[behavior.axis] + Math.sin(angle) * behavior.amplitude
+        };
+    }
+
+    /**
+     * Smooth noise offset in x/z, clamped to the radius
+     */
+    static randomWalk(behavior, position, time) {
+        const t = time * behavior.speed;
+        let dx = MotionBehaviors.noise(behavior.seed * 2, t);
+        let dz = MotionBehaviors.noise(behavior.seed * 2 + 1, t);
+
+        // Noise spans a square; keep the walk inside the circle
+        const length = Math.sqrt(dx * dx + dz * dz);
+        if (length > 1) {
+            dx /= length;
+            dz /= length;
+        }
+
+        return {
+            x: position.x + dx * behavior.radius,
+            y: position.y,
+            z: position.z + dz * behavior.radius
+        };
+    }
+
+    /**
+     * Two octaves of smoothed value noise in -1..1
+     */
+    static noise(seed, t) {
+        const octave = (x, offset) => {
+            const i = Math.floor(x);
+            const f = x - i;
+            const smooth = f * f * (3 - 2 * f);
+            const a = MotionBehaviors.hash(seed + offset, i);
+            const b = MotionBehaviors.hash(seed + offset, i + 1);
+            return a + (b - a) * smooth;
+        };
+
+        return octave(t, 0) * 0.65 + octave(t * 2.3, 17) * 0.35;
+    }
+
+    /**
+     * Repeatable pseudo-random value in -1..1 for a seed and lattice point
+     */
+    static hash(seed, i) {
+        const x = Math.sin(seed * 12.9898 + i * 78.233) * 43758.5453;
+        return (x - Math.floor(x)) * 2 - 1;
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Motion Path for SHAC Simulator
+ * Position keyframes for one source against transport time
+ *
+ * Keyframes are kept sorted by time (seconds on the timeline). Before the
+ * first and after the last keyframe the source holds still. Between them
+ * the position is interpolated linearly or along a Catmull-Rom spline that
+ * passes through every keyframe.
+ */
+
+class MotionPath {
+    constructor() {
+        this.keyframes = []; // [{ time, position: { x, y, z } }], sorted by time
+        this.interpolation = 'linear'; // 'linear' or 'spline'
+    }
+
+    /**
+     * Keyframes closer together than this (seconds) are treated as the same one
+     */
+    static get TIME_TOLERANCE() {
+        return 0.05;
+    }
+
+    isEmpty() {
+        return this.keyframes.length === 0;
+    }
+
+    /**
+     * Add a keyframe, replacing any keyframe at (about) the same time
+     * Returns the keyframe's index
+     */
+    addKeyframe(time, position) {
+        const keyframe = {
+            time: Math.max(0, time),
+            position: { x: position.x, y: position.y, z: position.z }
+        };
+
+        const existing = this.keyframes.findIndex(k =>
+            Math.abs(k.time - keyframe.time) < MotionPath.TIME_TOLERANCE
+        );
+        if (existing !== -1) {
+            this.keyframes[existing] = keyframe;
+            return existing;
+        }
+
+        let index = this.keyframes.findIndex(k => k.time > keyframe.time);
+        if (index === -1) index = this.keyframes.length;
+        this.keyframes.splice(index, 0, keyframe);
+        return index;
+    }
+
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+    }
+
+    /**
+     * Drop keyframes with start < time <= end (overwritten while recording)
+     */
+    removeKeyframesBetween(start, end) {
+        this.keyframes = this.keyframes.filter(k => k.time <= start || k.time > end);
+    }
+
+    moveKeyframe(index, position) {
+        const keyframe = this.keyframes[index];
+        if (!keyframe) return;
+
+        keyframe.position = { x: position.x, y: position.y, z: position.z };
+    }
+
+    clear() {
+        this.keyframes = [];
+    }
+
+    /**
+     * Position at a transport time, or null without keyframes
+     */
+    evaluate(time) {
+        const keys = this.keyframes;
+        if (keys.length === 0) return null;
+
+        const last = keys.length - 1;
+        if (time <= keys[0].time) return { ...keys[0].position };
+        if (time >= keys[last].time) return { ...keys[last].position };
+
+        // Segment containing the time: keys[i] .. keys[i + 1]
+        let i = 0;
+        while (keys[i + 1].time < time) i++;
+
+        const t = (time - keys[i].time) / (keys[i + 1].time - keys[i].time);
+        const p1 = keys[i].position;
+        const p2 = keys[i + 1].position;
+
+        if (this.interpolation !== 'spline') {
+            return {
+                x: p1.x + (p2.x - p1.x) * t,
+                y: p1.y + (p2.y - p1.y) * t,
+                z: p1.z + (p2.z - p1.z) * t
+            };
+        }
+
+        // End segments reuse their own endpoint as the missing neighbour
+        const p0 = keys[Math.max(0, i - 1)].position;
+        const p3 = keys[Math.min(last, i + 2)].position;
+        return {
+            x: this.catmullRom(p0.x, p1.x, p2.x, p3.x, t),
+            y: this.catmullRom(p0.y, p1.y, p2.y, p3.y, t),
+            z: this.catmullRom(p0.z, p1.z, p2.z, p3.z, t)
+        };
+    }
+
+    /**
+     * Uniform Catmull-Rom between p1 (t = 0) and p2 (t = 1)
+     */
+    catmullRom(p0, p1, p2, p3, t) {
+        const t2 = t * t;
+        const t3 = t2 * t;
+        return 0.5 * (
+            2 * p1 +
+            (p2 - p0) * t +
+            (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+            (3 * p1 - p0 - 3 * p2 + p3) * t3
+        );
+    }
+
+    /**
+     * Points along the path for drawing (steps per segment)
+     */
+    sample(steps = 16) {
+        const keys = this.keyframes;
+        if (keys.length < 2) return keys.map(k => ({ ...k.position }));
+
+        const points = [];
+        for (let i = 0; i < keys.length - 1; i++) {
+            const segmentSteps = this.interpolation === 'spline' ? steps : 1;
+            for (let step = 0; step < segmentSteps; step++) {
+                const time = keys[i].time + (keys[i + 1].time - keys[i].time) * (step / segmentSteps);
+                points.push(this.evaluate(time));
+            }
+        }
+        points.push({ ...keys[keys.length - 1].position });
+        return points;
+    }
+}
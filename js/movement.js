@@ -118,9 +118,10 @@ class MovementController {
         if (e.target.tagName === 'BUTTON' || e.target.closest('button')) return;
         if (e.target.closest('.controls')) return; // Don't lock on UI panels
 
-        // Don't lock if cursor is 'grab' (hovering over a source for dragging)
+        // Don't lock if cursor is 'grab' (hovering over a source for dragging),
+        // 'pointer' (over an obstacle) or 'crosshair' (drawing obstacles or a selection box)
         const canvas = document.getElementById('visualizer');
-        if (canvas.style.cursor === 'grab') return;
+        if (['grab', 'pointer', 'crosshair'].includes(canvas.style.cursor)) return;
 
         // Request pointer lock for FPS-style mouse look
         canvas.requestPointerLock();
@@ -265,7 +266,7 @@ class MovementController {
         this.player = { x: 0, y: 0, z: 0 };
         this.playerFacing = 0;
         this.playerPitch = 0;
-        this.audioEngine.updateListenerPosition(this.player);
+        this.audioEngine.updateListenerPosition(this.player, true);
         this.audioEngine.updateListenerOrientation(this.playerFacing, this.playerPitch);
     }
 
@@ -0,0 +1,135 @@
+/**
+ * Obstacle Panel for SHAC Simulator
+ * Tools for drawing walls and boxes on the top-down map and picking
+ * their materials
+ */
+
+class ObstaclePanel {
+    constructor(audioEngine, visualization) {
+        this.audioEngine = audioEngine;
+        this.visualization = visualization;
+
+        this.panelEl = document.getElementById('obstacle-panel');
+        this.toggleBtn = document.getElementById('obstacle-toggle-btn');
+        this.toolButtons = {
+            wall: document.getElementById('obstacle-tool-wall'),
+            box: document.getElementById('obstacle-tool-box')
+        };
+        this.materialSelect = document.getElementById('obstacle-material');
+        this.deleteBtn = document.getElementById('obstacle-delete');
+        this.clearBtn = document.getElementById('obstacle-clear');
+        this.statusEl = document.getElementById('obstacle-status');
+
+        this.populateMaterials();
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    populateMaterials() {
+        const materials = SceneObstacles.MATERIALS;
+        this.materialSelect.innerHTML = Object.keys(materials).map(key => {
+            const { label, loss } = materials[key];
+            return `<option value="${key}">${label} (−${loss} dB)</option>`;
+        }).join('');
+        this.materialSelect.value = this.visualization.obstacleMaterial;
+    }
+
+    setupEventListeners() {
+        this.toggleBtn.addEventListener('click', () => {
+            const opening = this.panelEl.classList.contains('hidden');
+
+            // Side panels share the same spot
+            document.querySelectorAll('.side-panel').forEach(panel => panel.classList.add('hidden'));
+            this.panelEl.classList.toggle('hidden', !opening);
+
+            // Drawing only makes sense while the tools are visible
+            if (!opening) this.setTool(null);
+        });
+
+        Object.entries(this.toolButtons).forEach(([tool, button]) => {
+            button.addEventListener('click', () => {
+                this.setTool(this.visualization.drawTool === tool ? null : tool);
+            });
+        });
+
+        // Material applies to new shapes and to the selected one
+        this.materialSelect.addEventListener('change', () => {
+            const material = this.materialSelect.value;
+            this.visualization.obstacleMaterial = material;
+
+            const selectedId = this.visualization.selectedObstacleId;
+            if (selectedId !== null) {
+                this.audioEngine.obstacles.setObstacleMaterial(selectedId, material);
+                this.audioEngine.updateAllOcclusion();
+            }
+        });
+
+        this.deleteBtn.addEventListener('click', () => this.deleteSelected());
+
+        this.clearBtn.addEventListener('click', () => {
+            if (this.audioEngine.obstacles.obstacles.length === 0) return;
+            if (!confirm('Remove all walls and boxes?')) return;
+
+            this.audioEngine.obstacles.clear();
+            this.audioEngine.updateAllOcclusion();
+            this.visualization.selectObstacle(null);
+        });
+
+        // Delete key removes the selected obstacle (not while typing)
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Delete' && e.key !== 'Backspace') return;
+            if (e.target.closest('input, select, textarea')) return;
+            if (this.visualization.selectedObstacleId === null) return;
+
+            e.preventDefault();
+            this.deleteSelected();
+        });
+
+        this.visualization.onObstacleSelect = (obstacle) => {
+            if (obstacle) {
+                this.materialSelect.value = obstacle.material;
+                this.visualization.obstacleMaterial = obstacle.material;
+            }
+            this.refresh();
+        };
+    }
+
+    /**
+     * Activate a draw tool ('wall', 'box') or null for select mode
+     */
+    setTool(tool) {
+        this.visualization.setDrawTool(tool);
+        Object.entries(this.toolButtons).forEach(([name, button]) => {
+            button.classList.toggle('primary', name === tool);
+        });
+        this.refresh();
+    }
+
+    deleteSelected() {
+        const selectedId = this.visualization.selectedObstacleId;
+        if (selectedId === null) return;
+
+        this.audioEngine.obstacles.removeObstacle(selectedId);
+        this.audioEngine.updateAllOcclusion();
+        this.visualization.selectObstacle(null);
+    }
+
+    /**
+     * Sync buttons and hint with the selection and active tool
+     */
+    refresh() {
+        const count = this.audioEngine.obstacles.obstacles.length;
+        const tool = this.visualization.drawTool;
+
+        this.deleteBtn.disabled = this.visualization.selectedObstacleId === null;
+        this.clearBtn.disabled = count === 0;
+
+        if (tool) {
+            this.statusEl.textContent = `Drag on the map to draw a ${tool}`;
+        } else {
+            this.statusEl.textContent = count === 0
+                ? 'No obstacles - pick a tool to draw'
+                : `${count} obstacle${count === 1 ? '' : 's'} - click one to select`;
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Scene Obstacles for SHAC Simulator
+ * Walls and boxes that occlude the direct sound between listener and source
+ *
+ * Obstacles live in the top-down x/z plane and are treated as full height.
+ * Every obstacle edge the listener-to-source line crosses adds its
+ * material's transmission loss, and the most muffling material sets the
+ * low-pass cutoff.
+ */
+
+class SceneObstacles {
+    constructor() {
+        this.obstacles = []; // [{ id, type: 'wall' | 'box', material, a, b }]
+        this.nextObstacleId = 1;
+    }
+
+    /**
+     * Material presets
+     * loss: transmission loss in dB per crossing
+     * cutoff: low-pass cutoff in Hz of the sound coming through
+     */
+    static get MATERIALS() {
+        return {
+            curtain:  { label: 'Curtain',  loss: 3,  cutoff: 8000, color: '#b48ead' },
+            glass:    { label: 'Glass',    loss: 8,  cutoff: 4000, color: '#88c0d0' },
+            wood:     { label: 'Wood',     loss: 12, cutoff: 2000, color: '#d08770' },
+            drywall:  { label: 'Drywall',  loss: 15, cutoff: 1200, color: '#e5e9f0' },
+            brick:    { label: 'Brick',    loss: 25, cutoff: 600,  color: '#bf616a' },
+            concrete: { label: 'Concrete', loss: 35, cutoff: 300,  color: '#7b8394' }
+        };
+    }
+
+    /**
+     * Add a wall segment from a to b ({ x, z } world points)
+     * Returns the obstacle id
+     */
+    addWall(a, b, material = 'drywall') {
+        return this.addObstacle('wall', a, b, material);
+    }
+
+    /**
+     * Add an axis-aligned box spanning two opposite corners ({ x, z })
+     * Returns the obstacle id
+     */
+    addBox(cornerA, cornerB, material = 'drywall') {
+        const a = { x: Math.min(cornerA.x, cornerB.x), z: Math.min(cornerA.z, cornerB.z) };
+        const b = { x: Math.max(cornerA.x, cornerB.x), z: Math.max(cornerA.z, cornerB.z) };
+        return this.addObstacle('box', a, b, material);
+    }
+
+    addObstacle(type, a, b, material) {
+        if (!SceneObstacles.MATERIALS[material]) {
+            material = 'drywall';
+        }
+
+        const id = this.nextObstacleId++;
+        this.obstacles.push({
+            id,
+            type,
+            material,
+            a: { x: a.x, z: a.z },
+            b: { x: b.x, z: b.z }
+        });
+        return id;
+    }
+
+    removeObstacle(id) {
+        this.obstacles = this.obstacles.filter(obstacle => obstacle.id !== id);
+    }
+
+    clear() {
+        this.obstacles = [];
+    }
+
+    getObstacle(id) {
+        return this.obstacles.find(obstacle => obstacle.id === id) || null;
+    }
+
+    setObstacleMaterial(id, material) {
+        const obstacle = this.getObstacle(id);
+        if (!obstacle || !SceneObstacles.MATERIALS[material]) return;
+
+        obstacle.material = material;
+    }
+
+    /**
+     * Edges of an obstacle as [[p1, p2], ...]
+     */
+    getSegments(obstacle) {
+        if (obstacle.type === 'wall') {
+            return [[obstacle.a, obstacle.b]];
+        }
+
+        const { a, b } = obstacle;
+        const corners = [
+            { x: a.x, z: a.z },
+            { x: b.x, z: a.z },
+            { x: b.x, z: b.z },
+            { x: a.x, z: b.z }
+        ];
+        return corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+    }
+
+    /**
+     * Occlusion of the straight path between two positions
+     * Returns { gain, cutoff, crossings } - gain 1 and cutoff null when clear
+     */
+    getOcclusion(from, to) {
+        let loss = 0;
+        let cutoff = null;
+        let crossings = 0;
+
+        this.obstacles.forEach(obstacle => {
+            const material = SceneObstacles.MATERIALS[obstacle.material];
+
+            this.getSegments(obstacle).forEach(([p1, p2]) => {
+                if (!this.segmentsIntersect(from, to, p1, p2)) return;
+
+                crossings++;
+                loss += material.loss;
+                cutoff = cutoff === null ? material.cutoff : Math.min(cutoff, material.cutoff);
+            });
+        });
+
+        return {
+            gain: Math.pow(10, -Math.min(loss, 80) / 20),
+            cutoff,
+            crossings
+        };
+    }
+
+    /**
+     * Check whether segment p-q crosses segment r-s in the x/z plane
+     */
+    segmentsIntersect(p, q, r, s) {
+        const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+
+        const d1 = cross(r, s, p);
+        const d2 = cross(r, s, q);
+        const d3 = cross(p, q, r);
+        const d4 = cross(p, q, s);
+
+        // Proper crossings only: grazing an endpoint doesn't occlude
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Room Acoustics for SHAC Simulator
+ * Shared convolution reverb bus that every source can send into
+ *
+ * Signal flow:
+ *   source sends -> input -> convolver -> returnGain -> destination
+ *
+ * Impulse responses are either synthesized from room size + RT60
+ * (decaying noise with early reflections and high-frequency damping)
+ * or loaded from a user WAV file.
+ */
+
+class RoomAcoustics {
+    constructor(audioContext, destination) {
+        this.audioContext = audioContext;
+
+        this.settings = {
+            enabled: true,
+            roomSize: 12,       // Rough room dimension in meters (sets pre-delay and reflections)
+            rt60: 1.2,          // Seconds for the tail to decay by 60 dB
+            returnLevel: 0.5,   // Linear gain of the reverb return
+            distanceWet: true   // Keep wet level constant with distance (far = more reverberant)
+        };
+
+        // Name of the loaded IR file, or null when using the synthetic room
+        this.customImpulseName = null;
+        this.customImpulse = null;
+
+        // Nodes
+        this.input = audioContext.createGain();
+        this.convolver = audioContext.createConvolver();
+        this.returnGain = audioContext.createGain();
+
+        this.convolver.normalize = true;
+        this.returnGain.gain.value = this.settings.returnLevel;
+
+        this.input.connect(this.convolver);
+        this.convolver.connect(this.returnGain);
+        this.returnGain.connect(destination);
+
+        this.convolver.buffer = this.createSyntheticImpulse(this.settings.roomSize, this.settings.rt60);
+        this.applyEnabled(true);
+    }
+
+    /**
+     * Update room parameters
+     * Accepts any subset of { roomSize, rt60, returnLevel, distanceWet, enabled }
+     * The synthetic IR is regenerated when size or RT60 change
+     * The return level glides unless `immediate`
+     */
+    setRoom(settings, immediate = false) {
+        const previous = this.settings;
+        const next = { ...previous, ...settings };
+
+        next.roomSize = Math.max(2, Math.min(100, next.roomSize));
+        next.rt60 = Math.max(0.1, Math.min(10, next.rt60));
+        next.returnLevel = Math.max(0, Math.min(2, next.returnLevel));
+
+        this.settings = next;
+
+        const shapeChanged = next.roomSize !== previous.roomSize || next.rt60 !== previous.rt60;
+        if (shapeChanged && !this.customImpulse) {
+            this.convolver.buffer = this.createSyntheticImpulse(next.roomSize, next.rt60);
+        }
+
+        this.applyEnabled(immediate);
+    }
+
+    /**
+     * Match another room's settings and impulse response
+     * (used to rebuild the live room on an offline context)
+     * The live IR is reused as is: a regenerated synthetic one would have
+     * different noise and reflection timing from what was heard
+     */
+    copySettingsFrom(room) {
+        this.settings = { ...room.settings };
+        this.customImpulse = room.customImpulse;
+        this.customImpulseName = room.customImpulseName;
+        this.convolver.buffer = room.convolver.buffer;
+
+        this.applyEnabled(true);
+    }
+
+    /**
+     * Load a user impulse response (WAV or any decodable audio file)
+     */
+    async loadImpulseResponse(file) {
+        const arrayBuffer = await file.arrayBuffer();
+        const impulse = await this.audioContext.decodeAudioData(arrayBuffer);
+
+        this.customImpulse = impulse;
+        this.customImpulseName = file.name;
+        this.convolver.buffer = impulse;
+    }
+
+    /**
+     * Drop any loaded IR and go back to the synthesized room
+     */
+    useSyntheticImpulse() {
+        this.customImpulse = null;
+        this.customImpulseName = null;
+        this.convolver.buffer = this.createSyntheticImpulse(this.settings.roomSize, this.settings.rt60);
+    }
+
+    /**
+     * Mute the return when the room is disabled (sends keep running)
+     */
+    applyEnabled(immediate = false) {
+        const level = this.settings.enabled ? this.settings.returnLevel : 0;
+
+        if (immediate) {
+            this.returnGain.gain.value = level;
+        } else {
+            this.returnGain.gain.setTargetAtTime(level, this.audioContext.currentTime, 0.03);
+        }
+    }
+
+    /**
+     * Synthesize a stereo impulse response
+     * - Pre-delay and early reflections scale with room size
+     * - Exponential noise tail reaching -60 dB at rt60
+     * - One-pole lowpass that closes over time (air and wall damping)
+     */
+    createSyntheticImpulse(roomSize, rt60) {
+        const sampleRate = this.audioContext.sampleRate;
+        const speedOfSound = 343;
+        const length = Math.ceil(sampleRate * Math.min(rt60 * 1.5, 10));
+        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
+
+        // First reflection arrives after roughly half a room crossing
+        const preDelay = Math.min(0.1, (roomSize * 0.5) / speedOfSound);
+        const preDelaySamples = Math.floor(preDelay * sampleRate);
+        const decayRate = 6.9078 / rt60; // ln(1000): amplitude -60 dB at rt60
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+
+            // Diffuse tail
+            let filtered = 0;
+            for (let i = preDelaySamples; i < length; i++) {
+                const t = (i - preDelaySamples) / sampleRate;
+                const noise = Math.random() * 2 - 1;
+
+                // Highs die faster than lows
+                const damping = Math.min(0.95, 0.2 + t / rt60);
+                filtered = filtered * damping + noise * (1 - damping);
+
+                data[i] = filtered * Math.exp(-decayRate * t);
+            }
+
+            // Early reflections: sparse taps spread over a few room crossings
+            const reflectionCount = 8;
+            for (let k = 0; k < reflectionCount; k++) {
+                const time = preDelay * (1 + k * 0.6 + Math.random() * 0.5);
+                const index = Math.floor(time * sampleRate);
+                if (index >= length) break;
+
+                const sign = Math.random() < 0.5 ? -1 : 1;
+                data[index] += sign * 0.6 * Math.exp(-decayRate * (time - preDelay));
+            }
+        }
+
+        return impulse;
+    }
+
+    /**
+     * Send gain for a source at a given direct-path distance gain
+     * distanceWet on: wet level ignores distance, so the ratio grows as the direct sound falls off
+     * distanceWet off: wet follows the direct sound, keeping a fixed wet/dry ratio
+     */
+    computeSendGain(sendLevel, distanceGain) {
+        return this.settings.distanceWet ? sendLevel : sendLevel * distanceGain;
+    }
+}
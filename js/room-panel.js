@@ -0,0 +1,138 @@
+/**
+ * Room Panel for SHAC Simulator
+ * UI for the shared room reverb: size, RT60, return level and custom IRs,
+ * plus global air absorption (humidity and strength)
+ */
+
+class RoomPanel {
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+
+        this.panelEl = document.getElementById('room-panel');
+        this.toggleBtn = document.getElementById('room-toggle-btn');
+        this.enabledInput = document.getElementById('room-enabled');
+        this.sizeInput = document.getElementById('room-size');
+        this.sizeValue = document.getElementById('room-size-value');
+        this.rt60Input = document.getElementById('room-rt60');
+        this.rt60Value = document.getElementById('room-rt60-value');
+        this.returnInput = document.getElementById('room-return');
+        this.returnValue = document.getElementById('room-return-value');
+        this.distanceWetInput = document.getElementById('room-distance-wet');
+        this.irInput = document.getElementById('room-ir-input');
+        this.irLoadBtn = document.getElementById('room-ir-load');
+        this.irResetBtn = document.getElementById('room-ir-reset');
+        this.irNameEl = document.getElementById('room-ir-name');
+        this.humidityInput = document.getElementById('air-humidity');
+        this.humidityValue = document.getElementById('air-humidity-value');
+        this.strengthInput = document.getElementById('air-strength');
+        this.strengthValue = document.getElementById('air-strength-value');
+
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        this.toggleBtn.addEventListener('click', () => {
+            const opening = this.panelEl.classList.contains('hidden');
+
+            // Side panels share the same spot
+            document.querySelectorAll('.side-panel').forEach(panel => panel.classList.add('hidden'));
+            this.panelEl.classList.toggle('hidden', !opening);
+        });
+
+        this.enabledInput.addEventListener('change', () => {
+            this.audioEngine.setRoom({ enabled: this.enabledInput.checked });
+        });
+
+        this.distanceWetInput.addEventListener('change', () => {
+            this.audioEngine.setRoom({ distanceWet: this.distanceWetInput.checked });
+        });
+
+        // Sliders update labels live, regenerate the IR only on release
+        this.sizeInput.addEventListener('input', () => {
+            this.sizeValue.textContent = `${this.sizeInput.value} m`;
+        });
+        this.sizeInput.addEventListener('change', () => {
+            this.audioEngine.setRoom({ roomSize: parseFloat(this.sizeInput.value) });
+        });
+
+        this.rt60Input.addEventListener('input', () => {
+            this.rt60Value.textContent = `${parseFloat(this.rt60Input.value).toFixed(1)} s`;
+        });
+        this.rt60Input.addEventListener('change', () => {
+            this.audioEngine.setRoom({ rt60: parseFloat(this.rt60Input.value) });
+        });
+
+        this.returnInput.addEventListener('input', () => {
+            const level = parseFloat(this.returnInput.value);
+            this.audioEngine.setRoom({ returnLevel: level });
+            this.returnValue.textContent = `${Math.round(level * 100)}%`;
+        });
+
+        // Custom impulse response
+        this.irLoadBtn.addEventListener('click', () => this.irInput.click());
+
+        this.irInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                await this.audioEngine.room.loadImpulseResponse(file);
+                console.log(`✓ Loaded impulse response: ${file.name}`);
+            } catch (error) {
+                console.error(`Failed to load impulse response ${file.name}:`, error);
+                alert(`Failed to load impulse response ${file.name}`);
+            }
+            this.refresh();
+        });
+
+        this.irResetBtn.addEventListener('click', () => {
+            this.audioEngine.room.useSyntheticImpulse();
+            this.refresh();
+        });
+
+        // Air absorption (filters glide, so apply while dragging)
+        this.humidityInput.addEventListener('input', () => {
+            const humidity = parseFloat(this.humidityInput.value);
+            this.audioEngine.setAirAbsorption({ humidity });
+            this.humidityValue.textContent = `${humidity}%`;
+        });
+
+        this.strengthInput.addEventListener('input', () => {
+            const strength = parseFloat(this.strengthInput.value);
+            this.audioEngine.setAirAbsorption({ strength });
+            this.strengthValue.textContent = `${strength.toFixed(1)}×`;
+        });
+    }
+
+    /**
+     * Sync controls with the room state
+     */
+    refresh() {
+        const room = this.audioEngine.room;
+        const settings = room.settings;
+        const synthetic = !room.customImpulse;
+
+        this.enabledInput.checked = settings.enabled;
+        this.distanceWetInput.checked = settings.distanceWet;
+        this.sizeInput.value = settings.roomSize;
+        this.sizeValue.textContent = `${settings.roomSize} m`;
+        this.rt60Input.value = settings.rt60;
+        this.rt60Value.textContent = `${settings.rt60.toFixed(1)} s`;
+        this.returnInput.value = settings.returnLevel;
+        this.returnValue.textContent = `${Math.round(settings.returnLevel * 100)}%`;
+
+        // Size and RT60 only shape the synthetic IR
+        this.sizeInput.disabled = !synthetic;
+        this.rt60Input.disabled = !synthetic;
+        this.irResetBtn.disabled = synthetic;
+        this.irNameEl.textContent = synthetic ? 'Synthetic room' : room.customImpulseName;
+
+        const air = this.audioEngine.airAbsorption;
+        this.humidityInput.value = air.humidity;
+        this.humidityValue.textContent = `${air.humidity}%`;
+        this.strengthInput.value = air.strength;
+        this.strengthValue.textContent = `${air.strength.toFixed(1)}×`;
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Scene Exporter for SHAC Simulator
+ * Renders the current scene offline (OfflineAudioContext) with the same
+ * source chains, room and master bus as live playback.
+ *
+ * Formats:
+ * - Binaural stereo through the active renderer (HRTF or ambisonic)
+ * - AmbiX B-format (ACN/SN3D, 1st or 3rd order) with every source
+ *   encoded at its position around the listener
+ *
+ * Listener can be:
+ * - Static: one position and facing for the whole bounce
+ * - Recorded path: poses captured while walking the scene, replayed as
+ *   parameter automation
+ *
+ * Sources with motion paths or behaviors move through the bounce as they
+ * do during playback, and Doppler follows the motion from pose to pose.
+ */
+
+class SceneExporter {
+    constructor(audioEngine, movement) {
+        this.audioEngine = audioEngine;
+        this.movement = movement;
+
+        // Listener path recording
+        this.recordedPath = []; // [{ time, position, yaw, pitch }]
+        this.isRecordingPath = false;
+        this.recordTimer = null;
+        this.recordStart = 0;
+        this.recordRate = 30; // Poses per second
+    }
+
+    /**
+     * Start capturing listener poses (replaces any previous path)
+     */
+    startPathRecording() {
+        this.stopPathRecording();
+
+        this.recordedPath = [];
+        this.isRecordingPath = true;
+        this.recordStart = performance.now();
+
+        const capture = () => {
+            this.recordedPath.push({
+                time: (performance.now() - this.recordStart) / 1000,
+                position: this.movement.getPosition(),
+                yaw: this.movement.getFacing(),
+                pitch: this.movement.getPitch()
+            });
+        };
+
+        capture();
+        this.recordTimer = setInterval(capture, 1000 / this.recordRate);
+    }
+
+    /**
+     * Stop capturing listener poses
+     */
+    stopPathRecording() {
+        if (this.recordTimer) {
+            clearInterval(this.recordTimer);
+            this.recordTimer = null;
+        }
+        this.isRecordingPath = false;
+    }
+
+    /**
+     * Length of the recorded path in seconds (0 if none)
+     */
+    getRecordedPathDuration() {
+        if (this.recordedPath.length === 0) return 0;
+        return this.recordedPath[this.recordedPath.length - 1].time;
+    }
+
+    /**
+     * Render a binaural stereo bounce
+     * options = { start, duration, listener: { position, yaw, pitch } | null }
+     * listener null replays the recorded path (holding its last pose)
+     * Returns the rendered AudioBuffer
+     */
+    async renderBinaural({ start = 0, duration, listener = null }) {
+        const liveContext = this.audioEngine.audioContext;
+        const sampleRate = liveContext.sampleRate;
+        const ctx = new OfflineAudioContext(2, Math.ceil(duration * sampleRate), sampleRate);
+
+        // Master bus: gain -> [limiter] -> destination
+        const masterGain = ctx.createGain();
+        masterGain.gain.value = this.audioEngine.masterVolume;
+        if (this.audioEngine.limiterEnabled) {
+            const limiter = this.audioEngine.createLimiter(ctx);
+            masterGain.connect(limiter);
+            limiter.connect(ctx.destination);
+        } else {
+            masterGain.connect(ctx.destination);
+        }
+
+        const room = new RoomAcoustics(ctx, masterGain);
+        room.copySettingsFrom(this.audioEngine.room);
+
+        const ambisonics = this.audioEngine.renderer === 'ambisonic'
+            ? new AmbisonicRenderer(ctx, this.audioEngine.ambisonicOrder, masterGain)
+            : null;
+
+        return this.renderScene(ctx, room, ambisonics, masterGain, { start, duration, listener });
+    }
+
+    /**
+     * Render an AmbiX B-format bounce (ACN channel order, SN3D)
+     * options = { start, duration, order, listener } as for renderBinaural
+     * The reverb return feeds W only (diffuse, no direction)
+     * The limiter is skipped: limiting channels separately would skew the field
+     */
+    async renderAmbiX({ start = 0, duration, order = 1, listener = null }) {
+        const sampleRate = this.audioEngine.audioContext.sampleRate;
+        const channelCount = AmbisonicRenderer.getChannelCount(order);
+        const ctx = new OfflineAudioContext(channelCount, Math.ceil(duration * sampleRate), sampleRate);
+        ctx.destination.channelInterpretation = 'discrete';
+
+        const masterGain = ctx.createGain();
+        masterGain.channelInterpretation = 'discrete';
+        masterGain.gain.value = this.audioEngine.masterVolume;
+        masterGain.connect(ctx.destination);
+
+        const ambisonics = new AmbisonicRenderer(ctx, order, masterGain, false);
+        const room = new RoomAcoustics(ctx, ambisonics.busChannels[0]);
+        room.copySettingsFrom(this.audioEngine.room);
+
+        return this.renderScene(ctx, room, ambisonics, masterGain, { start, duration, listener });
+    }
+
+    /**
+     * Build every source on the offline graph, automate the listener and render
+     */
+    renderScene(ctx, room, ambisonics, output, { start, duration, listener }) {
+        const bus = { output, reverbInput: room.input, ambisonics };
+        const chains = this.audioEngine.getSources().map(source => {
+            const chain = this.audioEngine.createSourceChain(ctx, source, bus);
+            chain.node = this.audioEngine.createBufferSource(ctx, source, chain.gainNode);
+            return { source, chain };
+        });
+
+        // Listener poses to automate (one for a static bounce)
+        const poses = listener
+            ? [{ time: 0, ...listener }]
+            : this.recordedPath.filter(pose => pose.time <= duration);
+
+        // Moving sources need poses through the whole bounce,
+        // so the last listener pose repeats at the record rate
+        if (this.hasMovingSources()) {
+            const last = poses[poses.length - 1];
+            for (let time = last.time + 1 / this.recordRate; time <= duration; time += 1 / this.recordRate) {
+                poses.push({ ...last, time });
+            }
+        }
+
+        // Doppler velocities, smoothed from pose to pose as live ticks are
+        const listenerMotion = this.audioEngine.createMotionState(poses[0].position);
+
+        poses.forEach((pose, index) => {
+            const dt = index === 0 ? 0 : pose.time - poses[index - 1].time;
+            this.applyPose(ctx, chains, room, ambisonics, pose, index === 0, start, listenerMotion, dt);
+        });
+
+        // Start every stem at the same transport phase
+        chains.forEach(({ source, chain }) => {
+            chain.node.start(0, start % source.buffer.duration);
+        });
+
+        return ctx.startRendering();
+    }
+
+    /**
+     * Check whether any source follows a motion path or behaviors
+     */
+    hasMovingSources() {
+        return this.audioEngine.getSources().some(source => this.audioEngine.isSourceMoving(source));
+    }
+
+    /**
+     * Automate the graph for one listener pose
+     * First pose sets values, later poses ramp to them
+     * start: transport time at the top of the bounce (for motion paths)
+     * listenerMotion, dt: listener velocity state and seconds since the last pose
+     */
+    applyPose(ctx, chains, room, ambisonics, pose, first, start, listenerMotion, dt) {
+        const engine = this.audioEngine;
+        const automate = (param, value) => {
+            if (first) {
+                param.value = value;
+                param.setValueAtTime(value, pose.time);
+            } else {
+                param.linearRampToValueAtTime(value, pose.time);
+            }
+        };
+
+        if (dt > 0) {
+            engine.trackMotion(listenerMotion, pose.position, dt);
+        }
+
+        // HRTF panners hear through the context listener; the ambisonic
+        // decoder needs it facing forward and rotates the field instead
+        if (!ambisonics) {
+            const forward = engine.getListenerForward(pose.yaw, pose.pitch);
+            if (ctx.listener.forwardX) {
+                automate(ctx.listener.forwardX, forward.x);
+                automate(ctx.listener.forwardY, forward.y);
+                automate(ctx.listener.forwardZ, forward.z);
+            } else if (first) {
+                ctx.listener.setOrientation(forward.x, forward.y, forward.z, 0, 1, 0);
+            }
+        }
+
+        chains.forEach(({ source: liveSource, chain }) => {
+            // Head-locked sources follow the recorded listener, others their motion
+            const source = {
+                ...liveSource,
+                position: engine.getSourcePositionAt(liveSource, start + pose.time, pose.position, pose)
+            };
+
+            // One emitter per channel for wide sources
+            const emitterPositions = engine.getEmitterPositions(source, source.position);
+            chain.emitters.forEach(({ panner, encoder, spatialGain }, i) => {
+                if (panner) {
+                    const position = engine.getPannerPosition(emitterPositions[i], pose.position);
+                    if (panner.positionX) {
+                        automate(panner.positionX, position.x);
+                        automate(panner.positionY, position.y);
+                        automate(panner.positionZ, position.z);
+                    } else if (first) {
+                        panner.setPosition(position.x, position.y, position.z);
+                    }
+                } else {
+                    const direction = engine.getHeadRelativeDirection(emitterPositions[i], pose.position, pose);
+                    if (first) {
+                        encoder.setDirection(direction.x, direction.y, direction.z);
+                    }
+                    encoder.setDirection(direction.x, direction.y, direction.z, { endTime: pose.time });
+                    automate(spatialGain.gain, engine.computeSpatialGain(source, pose.position, direction.distance));
+                }
+            });
+
+            // Doppler from the listener's and source's motion between poses
+            if (first) {
+                chain.motion = engine.createMotionState(source.position);
+            } else if (dt > 0) {
+                engine.trackMotion(chain.motion, source.position, dt);
+            }
+            automate(chain.node.playbackRate, engine.computeDopplerRate(
+                source, pose.position, listenerMotion.velocity, chain.motion.velocity
+            ));
+
+            const distance = engine.getDistance(pose.position, source.position);
+            automate(chain.airFilter.frequency, engine.computeAirCutoff(source, distance));
+
+            const occlusion = engine.computeOcclusion(source, pose.position);
+            automate(chain.occlusionGain.gain, occlusion.gain);
+            automate(chain.occlusionFilter.frequency, occlusion.cutoff);
+
+            automate(chain.sendGain.gain, engine.computeSendGain(source, room, pose.position));
+        });
+    }
+}
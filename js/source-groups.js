@@ -0,0 +1,52 @@
+/**
+ * Source Groups for SHAC Simulator
+ * Named sets of sources (drums, strings...) that move and mix together
+ *
+ * Groups only hold their name and color; membership lives on each source
+ * (source.groupId) so a source is in at most one group. Transforms and
+ * mixer actions on members go through the audio engine.
+ */
+
+class SourceGroups {
+    constructor() {
+        this.groups = []; // [{ id, name, color }]
+        this.nextGroupId = 1;
+    }
+
+    /**
+     * Outline colors, handed out in turn
+     */
+    static get COLORS() {
+        return ['#4fc3f7', '#ffb74d', '#ba68c8', '#81c784', '#f06292', '#fff176'];
+    }
+
+    /**
+     * Add a group, returns its id
+     */
+    addGroup(name) {
+        const id = this.nextGroupId++;
+        const colors = SourceGroups.COLORS;
+
+        this.groups.push({
+            id,
+            name: name || `Group ${id}`,
+            color: colors[(id - 1) % colors.length]
+        });
+        return id;
+    }
+
+    removeGroup(id) {
+        this.groups = this.groups.filter(group => group.id !== id);
+    }
+
+    renameGroup(id, name) {
+        const group = this.getGroup(id);
+        if (!group || !name) return;
+
+        group.name = name;
+    }
+
+    getGroup(id) {
+        return this.groups.find(group => group.id === id) || null;
+    }
+}
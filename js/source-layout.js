@@ -0,0 +1,134 @@
+/**
+ * Source Layout for SHAC Simulator
+ * Arrangement math for a selection of sources
+ *
+ * Every layout takes the selected positions and returns the new ones in
+ * the same order; the engine moves the sources:
+ * - Align: share one coordinate (X column, Z row or height)
+ * - Distribute: even spacing on the line between the two farthest sources
+ * - Arc / circle: even spacing around the listener at a radius, centered
+ *   on the listener's facing and keeping the sources' left-to-right order
+ * - Mirror: swap left and right across the listener's facing line
+ */
+
+class SourceLayout {
+    /**
+     * Move every position to the average on one axis ('x', 'y' or 'z')
+     */
+    static align(positions, axis) {
+        const average = positions.reduce((sum, p) => sum + p[axis], 0) / positions.length;
+        return positions.map(p => ({ ...p, [axis]: average }));
+    }
+
+    /**
+     * Space positions evenly between the two that are farthest apart,
+     * in the order they already sit along that line
+     */
+    static distribute(positions) {
+        if (positions.length < 3) return positions.map(p => ({ ...p }));
+
+        // Farthest pair sets the line
+        let start = positions[0];
+        let end = positions[1];
+        let longest = -1;
+        positions.forEach((a, i) => {
+            positions.slice(i + 1).forEach(b => {
+                const distance = SourceLayout.distanceSq(a, b);
+                if (distance > longest) {
+                    longest = distance;
+                    start = a;
+                    end = b;
+                }
+            });
+        });
+        if (longest === 0) return positions.map(p => ({ ...p }));
+
+        const line = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+        const order = positions
+            .map((p, index) => ({
+                index,
+                t: ((p.x - start.x) * line.x + (p.y - start.y) * line.y + (p.z - start.z) * line.z) / longest
+            }))
+            .sort((a, b) => a.t - b.t);
+
+        const result = [];
+        order.forEach(({ index }, rank) => {
+            const t = rank / (order.length - 1);
+            result[index] = {
+                x: start.x + line.x * t,
+                y: start.y + line.y * t,
+                z: start.z + line.z * t
+            };
+        });
+        return result;
+    }
+
+    /**
+     * Spread positions over an arc around the listener
+     * span: degrees (360 = full circle), facing: listener yaw in degrees
+     * Heights are kept
+     */
+    static arc(positions, listener, radius, span, facing) {
+        const circle = span >= 360;
+        const count = positions.length;
+
+        // Left-to-right as the listener sees them (bearing relative to facing)
+        const order = positions
+            .map((p, index) => {
+                let bearing = Math.atan2(p.x - listener.x, p.z - listener.z) * (180 / Math.PI) - facing;
+                bearing = ((bearing % 360) + 540) % 360 - 180;
+                return { index, bearing };
+            })
+            .sort((a, b) => a.bearing - b.bearing);
+
+        const result = [];
+        order.forEach(({ index }, rank) => {
+            let offset = 0;
+            if (circle) {
+                offset = -180 + (rank + 0.5) * (360 / count);
+            } else if (count > 1) {
+                offset = -span / 2 + rank * (span / (count - 1));
+            }
+
+            const angle = (facing + offset) * (Math.PI / 180);
+            result[index] = {
+                x: listener.x + Math.sin(angle) * radius,
+                y: positions[index].y,
+                z: listener.z + Math.cos(angle) * radius
+            };
+        });
+        return result;
+    }
+
+    /**
+     * Reflect a point across the vertical plane through the listener along
+     * its facing (left <-> right)
+     */
+    static mirrorPoint(point, listener, facing) {
+        const yaw = facing * (Math.PI / 180);
+        const forward = { x: Math.sin(yaw), z: Math.cos(yaw) };
+        const dx = point.x - listener.x;
+        const dz = point.z - listener.z;
+        const along = dx * forward.x + dz * forward.z;
+
+        return {
+            x: listener.x + 2 * along * forward.x - dx,
+            y: point.y,
+            z: listener.z + 2 * along * forward.z - dz
+        };
+    }
+
+    /**
+     * Mirrored facing for a yaw (degrees, 0-360)
+     */
+    static mirrorYaw(yaw, facing) {
+        return ((2 * facing - yaw) % 360 + 360) % 360;
+    }
+
+    static distanceSq(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const dz = b.z - a.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+}
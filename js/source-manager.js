@@ -4,10 +4,43 @@
  */
 
 class SourceManager {
-    constructor(audioEngine) {
+    constructor(audioEngine, history) {
         this.audioEngine = audioEngine;
+        this.history = history; // CommandHistory for undoable edits
         this.sourceListEl = document.getElementById('source-list');
         this.trackCountEl = document.getElementById('track-count');
+        this.masterFader = document.getElementById('master-fader');
+        this.masterFaderValue = document.getElementById('master-fader-value');
+
+        // Collapsible sections that are open ("sourceId:section"), kept across re-renders
+        this.openSections = new Set();
+
+        // Pivot for each group's rotate/scale buttons: 'center' or 'listener'
+        this.groupPivots = new Map();
+
+        // Fader range in dB (bottom of the range is silence)
+        this.faderMinDb = -60;
+        this.faderMaxDb = 6;
+
+        this.setupMasterFader();
+    }
+
+    /**
+     * Wire up the master fader
+     */
+    setupMasterFader() {
+        if (!this.masterFader) return;
+
+        this.masterFader.min = this.faderMinDb;
+        this.masterFader.max = this.faderMaxDb;
+        this.masterFader.value = this.volumeToFaderDb(this.audioEngine.masterVolume);
+        this.masterFaderValue.textContent = this.formatDb(parseFloat(this.masterFader.value));
+
+        this.masterFader.addEventListener('input', () => {
+            const db = parseFloat(this.masterFader.value);
+            this.audioEngine.setMasterVolume(this.faderDbToVolume(db));
+            this.masterFaderValue.textContent = this.formatDb(db);
+        });
     }
 
     /**
@@ -22,17 +55,35 @@ class SourceManager {
             return;
         }
 
-        this.sourceListEl.innerHTML = sources.map(source => this.renderSource(source)).join('');
+        // Groups first with their members inside, then ungrouped tracks
+        const groups = this.audioEngine.groups.groups;
+        this.sourceListEl.innerHTML =
+            this.renderGroupBar() +
+            groups.map(group => this.renderGroup(group)).join('') +
+            sources.filter(source => source.groupId === null).map(source => this.renderSource(source)).join('');
 
         // Add event listeners for lock buttons
         this.sourceListEl.querySelectorAll('.source-lock').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const sourceId = parseInt(e.target.dataset.sourceId);
-                this.audioEngine.toggleSourceLock(sourceId);
+                const source = this.audioEngine.getSource(sourceId);
+                this.recordLocks(source.locked ? `Unlock ${source.name}` : `Lock ${source.name}`, [sourceId], () => {
+                    this.audioEngine.toggleSourceLock(sourceId);
+                });
                 this.updateSourceList(); // Re-render to update UI
             });
         });
 
+        // Add event listeners for anchor buttons (world <-> head)
+        this.sourceListEl.querySelectorAll('.source-anchor').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const source = this.audioEngine.getSource(sourceId);
+                this.audioEngine.setSourceAnchor(sourceId, source.anchor === 'head' ? 'world' : 'head');
+                this.updateSourceList();
+            });
+        });
+
         // Add event listeners for remove buttons
         this.sourceListEl.querySelectorAll('.source-remove').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -41,6 +92,66 @@ class SourceManager {
             });
         });
 
+        // Add event listeners for mute buttons
+        this.sourceListEl.querySelectorAll('.source-mute').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const source = this.audioEngine.getSource(sourceId);
+                this.audioEngine.setSourceMuted(sourceId, !source.muted);
+                this.updateSourceList();
+            });
+        });
+
+        // Add event listeners for solo buttons
+        // Click = exclusive solo, Shift+click = add to the soloed set
+        this.sourceListEl.querySelectorAll('.source-solo').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const source = this.audioEngine.getSource(sourceId);
+                const exclusive = !e.shiftKey;
+                // Exclusive click on the only soloed source just clears it
+                const soloOthers = this.audioEngine.getSources().some(s => s.solo && s.id !== sourceId);
+                const solo = exclusive && soloOthers ? true : !source.solo;
+                this.audioEngine.setSourceSolo(sourceId, solo, exclusive);
+                this.updateSourceList();
+            });
+        });
+
+        // Add event listeners for volume faders (no re-render while dragging)
+        // One undo step per fader gesture, recorded on release
+        this.sourceListEl.querySelectorAll('.source-fader').forEach(fader => {
+            const sourceId = parseInt(fader.dataset.sourceId);
+            let volumeBefore = null;
+
+            fader.addEventListener('input', (e) => {
+                const db = parseFloat(e.target.value);
+                if (volumeBefore === null) {
+                    volumeBefore = this.audioEngine.getSource(sourceId).volume;
+                }
+                this.audioEngine.setSourceVolume(sourceId, this.faderDbToVolume(db));
+
+                const label = this.sourceListEl.querySelector(`.fader-value[data-source-id="${sourceId}"]`);
+                if (label) label.textContent = this.formatDb(db);
+
+                // Dim the track while the fader is at the bottom
+                const item = this.sourceListEl.querySelector(`.source-item[data-source-id="${sourceId}"]`);
+                if (item) {
+                    const source = this.audioEngine.getSource(sourceId);
+                    item.classList.toggle('silenced', this.audioEngine.getEffectiveGain(source) === 0);
+                }
+            });
+
+            fader.addEventListener('change', () => {
+                if (volumeBefore === null) return;
+
+                const source = this.audioEngine.getSource(sourceId);
+                this.history.pushSnapshot(`Volume ${source.name}`, volumeBefore, source.volume, volume => {
+                    this.audioEngine.setSourceVolume(sourceId, volume);
+                });
+                volumeBefore = null;
+            });
+        });
+
         // Add event listeners for position update buttons
         this.sourceListEl.querySelectorAll('.position-update-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -49,26 +160,450 @@ class SourceManager {
             });
         });
 
+        // Remember which sections are open
+        this.sourceListEl.querySelectorAll('.source-section').forEach(section => {
+            section.addEventListener('toggle', () => {
+                const key = `${section.dataset.sourceId}:${section.dataset.section}`;
+                if (section.open) {
+                    this.openSections.add(key);
+                } else {
+                    this.openSections.delete(key);
+                }
+            });
+        });
+
+        this.bindDistanceControls();
+        this.bindConeControls();
+        this.bindReverbControls();
+        this.bindDopplerControls();
+        this.bindPathControls();
+        this.bindBehaviorControls();
+        this.bindGroupControls();
+        this.bindWidthControls();
+
+        sources.forEach(source => this.drawAttenuationPreview(source));
+
         this.updateTrackCount(sources.length);
     }
 
+    /**
+     * Wire up distance model inputs (applied on change, no re-render)
+     */
+    bindDistanceControls() {
+        this.sourceListEl.querySelectorAll('.distance-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const field = e.target.dataset.field;
+                const value = field === 'model' ? e.target.value : parseFloat(e.target.value);
+
+                if (field !== 'model' && isNaN(value)) return;
+
+                this.audioEngine.setSourceDistanceModel(sourceId, { [field]: value });
+
+                // Show the values the engine actually accepted
+                const source = this.audioEngine.getSource(sourceId);
+                this.sourceListEl.querySelectorAll(`.distance-input[data-source-id="${sourceId}"]`).forEach(el => {
+                    el.value = source.distance[el.dataset.field];
+                });
+                this.drawAttenuationPreview(source);
+            });
+        });
+
+        this.sourceListEl.querySelectorAll('.air-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                this.audioEngine.setSourceAirAbsorption(sourceId, e.target.checked);
+            });
+        });
+    }
+
+    /**
+     * Wire up sound cone inputs (applied on change, no re-render)
+     */
+    bindConeControls() {
+        this.sourceListEl.querySelectorAll('.cone-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) return;
+
+                this.audioEngine.setSourceCone(sourceId, { [e.target.dataset.field]: value });
+
+                // Show the values the engine actually accepted
+                const source = this.audioEngine.getSource(sourceId);
+                this.sourceListEl.querySelectorAll(`.cone-input[data-source-id="${sourceId}"]`).forEach(el => {
+                    el.value = source.cone[el.dataset.field];
+                });
+            });
+        });
+    }
+
+    /**
+     * Wire up reverb send faders (no re-render while dragging)
+     */
+    bindReverbControls() {
+        this.sourceListEl.querySelectorAll('.reverb-send').forEach(fader => {
+            fader.addEventListener('input', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const db = parseFloat(e.target.value);
+                this.audioEngine.setSourceReverbSend(sourceId, this.faderDbToVolume(db));
+
+                const label = this.sourceListEl.querySelector(`.reverb-send-value[data-source-id="${sourceId}"]`);
+                if (label) label.textContent = this.formatDb(db);
+            });
+        });
+    }
+
+    /**
+     * Wire up Doppler inputs (applied on change, no re-render)
+     */
+    bindDopplerControls() {
+        this.sourceListEl.querySelectorAll('.doppler-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const field = e.target.dataset.field;
+                const value = field === 'enabled' ? e.target.checked : parseFloat(e.target.value);
+
+                if (field !== 'enabled' && isNaN(value)) return;
+
+                this.audioEngine.setSourceDoppler(sourceId, { [field]: value });
+
+                // Show the value the engine actually accepted
+                const source = this.audioEngine.getSource(sourceId);
+                if (field !== 'enabled') e.target.value = source.doppler[field];
+            });
+        });
+    }
+
+    /**
+     * Wire up motion path controls (edits re-render the keyframe list)
+     */
+    bindPathControls() {
+        this.sourceListEl.querySelectorAll('.path-interpolation').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                this.audioEngine.setSourcePathInterpolation(sourceId, e.target.value);
+            });
+        });
+
+        // Keyframe at the playhead from where the source is now
+        this.sourceListEl.querySelectorAll('.path-key-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const source = this.audioEngine.getSource(sourceId);
+                this.recordPlacement('Add keyframe', [sourceId], () => {
+                    const time = this.audioEngine.getCurrentTime();
+                    const position = this.audioEngine.removeBehaviorOffset(source, source.position, time);
+                    this.audioEngine.addSourceKeyframe(sourceId, time, position);
+                });
+                this.updateSourceList();
+            });
+        });
+
+        this.sourceListEl.querySelectorAll('.path-clear-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                this.recordPlacement('Clear path', [sourceId], () => this.audioEngine.clearSourcePath(sourceId));
+                this.updateSourceList();
+            });
+        });
+
+        this.sourceListEl.querySelectorAll('.path-key-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                this.recordPlacement('Delete keyframe', [sourceId], () => {
+                    this.audioEngine.removeSourceKeyframe(sourceId, parseInt(e.target.dataset.index));
+                });
+                this.updateSourceList();
+            });
+        });
+    }
+
+    /**
+     * Wire up motion behavior controls (settings apply on change, no re-render)
+     */
+    bindBehaviorControls() {
+        this.sourceListEl.querySelectorAll('.behavior-add-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const select = this.sourceListEl.querySelector(`.behavior-type[data-source-id="${sourceId}"]`);
+                this.audioEngine.addSourceBehavior(sourceId, select.value);
+                this.updateSourceList();
+            });
+        });
+
+        this.sourceListEl.querySelectorAll('.behavior-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                this.audioEngine.removeSourceBehavior(sourceId, parseInt(e.target.dataset.index));
+                this.updateSourceList();
+            });
+        });
+
+        this.sourceListEl.querySelectorAll('.behavior-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const index = parseInt(e.target.dataset.index);
+                const field = e.target.dataset.field;
+
+                let value;
+                if (e.target.type === 'checkbox') {
+                    value = e.target.checked;
+                } else if (e.target.tagName === 'SELECT') {
+                    value = e.target.value;
+                } else {
+                    value = parseFloat(e.target.value);
+                    if (isNaN(value)) return;
+                }
+
+                this.audioEngine.updateSourceBehavior(sourceId, index, { [field]: value });
+
+                // Show the value the engine actually accepted
+                const behavior = this.audioEngine.getSource(sourceId).behaviors[index];
+                if (e.target.type === 'number') e.target.value = behavior[field];
+            });
+        });
+    }
+
+    /**
+     * Wire up wide source inputs (applied on change, no re-render)
+     */
+    bindWidthControls() {
+        this.sourceListEl.querySelectorAll('.width-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const field = e.target.dataset.field;
+                const value = field === 'enabled' ? e.target.checked : parseFloat(e.target.value);
+
+                if (field !== 'enabled' && isNaN(value)) return;
+
+                this.audioEngine.setSourceWidth(sourceId, { [field]: value });
+
+                // Show the value the engine actually accepted
+                const source = this.audioEngine.getSource(sourceId);
+                if (field !== 'enabled') e.target.value = source.width[field];
+            });
+        });
+    }
+
+    /**
+     * Wire up group creation, group mixer/lock buttons, group transforms and
+     * each track's group picker
+     */
+    bindGroupControls() {
+        const bind = (selector, handler) => {
+            this.sourceListEl.querySelectorAll(selector).forEach(el => {
+                el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'click', (e) => {
+                    handler(parseInt(e.target.dataset.groupId), e);
+                    this.updateSourceList();
+                });
+            });
+        };
+
+        bind('.group-add-btn', () => {
+            const name = prompt('Group name (e.g. drums, strings)', `Group ${this.audioEngine.groups.nextGroupId}`);
+            if (name === null) return;
+            this.audioEngine.createGroup(name.trim());
+        });
+
+        bind('.group-rename', (groupId) => {
+            const group = this.audioEngine.groups.getGroup(groupId);
+            const name = prompt('Rename group', group.name);
+            if (name === null) return;
+            this.audioEngine.groups.renameGroup(groupId, name.trim());
+        });
+
+        bind('.group-remove', (groupId) => this.audioEngine.removeGroup(groupId));
+
+        bind('.group-mute', (groupId) => {
+            const state = this.getGroupState(groupId);
+            this.audioEngine.setGroupMuted(groupId, !state.muted);
+        });
+
+        // Click = exclusive solo, Shift+click = add to the soloed set
+        bind('.group-solo', (groupId, e) => {
+            const state = this.getGroupState(groupId);
+            const exclusive = !e.shiftKey;
+            const soloOthers = this.audioEngine.getSources().some(s => s.solo && s.groupId !== groupId);
+            const solo = exclusive && soloOthers ? true : !state.solo;
+            this.audioEngine.setGroupSolo(groupId, solo, exclusive);
+        });
+
+        bind('.group-lock', (groupId) => {
+            const state = this.getGroupState(groupId);
+            const group = this.audioEngine.groups.getGroup(groupId);
+            const memberIds = this.audioEngine.getGroupMembers(groupId).map(member => member.id);
+            this.recordLocks(state.locked ? `Unlock ${group.name}` : `Lock ${group.name}`, memberIds, () => {
+                this.audioEngine.setGroupLocked(groupId, !state.locked);
+            });
+        });
+
+        bind('.group-pivot', (groupId, e) => this.groupPivots.set(groupId, e.target.value));
+
+        // Button steps are jumps, not motion (no Doppler blip)
+        bind('.group-rotate', (groupId, e) => {
+            this.recordGroupPlacement('Rotate', groupId, () => {
+                this.audioEngine.rotateGroup(groupId, parseFloat(e.target.dataset.degrees), this.getGroupPivot(groupId), true);
+            });
+        });
+
+        bind('.group-scale', (groupId, e) => {
+            this.recordGroupPlacement('Scale', groupId, () => {
+                this.audioEngine.scaleGroup(groupId, parseFloat(e.target.dataset.factor), this.getGroupPivot(groupId), true);
+            });
+        });
+
+        this.sourceListEl.querySelectorAll('.source-group').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const sourceId = parseInt(e.target.dataset.sourceId);
+                const groupId = e.target.value ? parseInt(e.target.value) : null;
+                this.audioEngine.setSourceGroup(sourceId, groupId);
+                this.updateSourceList();
+            });
+        });
+    }
+
+    /**
+     * Group-level mute/solo/lock: on when every member has it
+     */
+    getGroupState(groupId) {
+        const members = this.audioEngine.getGroupMembers(groupId);
+        const all = (key) => members.length > 0 && members.every(source => source[key]);
+
+        return { muted: all('muted'), solo: all('solo'), locked: all('locked') };
+    }
+
+    /**
+     * World pivot for a group's rotate/scale buttons
+     */
+    getGroupPivot(groupId) {
+        return this.groupPivots.get(groupId) === 'listener'
+            ? this.audioEngine.listener
+            : this.audioEngine.getGroupCenter(groupId);
+    }
+
+    /**
+     * Render the new-group button above the list
+     */
+    renderGroupBar() {
+        return `
+            <div class="group-bar">
+                <button class="path-btn group-add-btn">+ New Group</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a group card with its controls and member tracks
+     */
+    renderGroup(group) {
+        const members = this.audioEngine.getGroupMembers(group.id);
+        const state = this.getGroupState(group.id);
+        const pivot = this.groupPivots.get(group.id) || 'center';
+        const disabled = members.length === 0 || state.locked ? 'disabled' : '';
+        const data = `data-group-id="${group.id}"`;
+
+        const body = members.length > 0
+            ? members.map(source => this.renderSource(source)).join('')
+            : '<p class="section-hint">Empty - pick this group in a track\'s Group menu.</p>';
+
+        return `
+            <div class="group-item" style="border-color: ${group.color}">
+                <div class="source-header">
+                    <div class="source-name" style="color: ${group.color}">${this.escapeHtml(group.name)} (${members.length})</div>
+                    <div class="source-actions">
+                        <button class="group-action group-rename" ${data} title="Rename group">✎</button>
+                        <button class="group-action group-lock" ${data} title="${state.locked ? 'Unlock all members' : 'Lock all members'}">${state.locked ? '🔒' : '🔓'}</button>
+                        <button class="group-action group-remove" ${data} title="Ungroup (tracks stay)">×</button>
+                    </div>
+                </div>
+                <div class="source-mixer">
+                    <button class="mixer-btn group-mute ${state.muted ? 'active' : ''}" ${data} title="Mute group">M</button>
+                    <button class="mixer-btn group-solo ${state.solo ? 'active' : ''}" ${data} title="Solo group (Shift+click to add to solo)">S</button>
+                    <select class="section-select group-pivot" ${data} title="Pivot for rotate and scale">
+                        <option value="center" ${pivot === 'center' ? 'selected' : ''}>Around group center</option>
+                        <option value="listener" ${pivot === 'listener' ? 'selected' : ''}>Around listener</option>
+                    </select>
+                </div>
+                <div class="section-row">
+                    <button class="path-btn group-rotate" ${data} data-degrees="-15" ${disabled} title="Rotate counterclockwise">↺ 15°</button>
+                    <button class="path-btn group-rotate" ${data} data-degrees="15" ${disabled} title="Rotate clockwise">↻ 15°</button>
+                    <button class="path-btn group-scale" ${data} data-factor="0.8" ${disabled} title="Pull members together">Pull In</button>
+                    <button class="path-btn group-scale" ${data} data-factor="1.25" ${disabled} title="Spread members out">Spread</button>
+                </div>
+                <p class="section-hint">Drag the outline on the map to move the group. Shift+drag rotates, Alt+drag scales.</p>
+                <div class="group-members">${body}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a track's group picker (only once groups exist)
+     */
+    renderGroupPicker(source) {
+        const groups = this.audioEngine.groups.groups;
+        if (groups.length === 0) return '';
+
+        return `
+            <div class="section-row">
+                <label>Group</label>
+                <select class="section-select source-group" data-source-id="${source.id}">
+                    <option value="">None</option>
+                    ${groups.map(group => `<option value="${group.id}" ${source.groupId === group.id ? 'selected' : ''}>${this.escapeHtml(group.name)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+    }
+
     /**
      * Render a single source item
      */
     renderSource(source) {
         const lockIcon = source.locked ? '🔒' : '🔓';
-        const lockTitle = source.locked ? 'Unlock (allow editing)' : 'Lock (fix in world space)';
+        const lockTitle = source.locked ? 'Unlock (allow editing)' : 'Lock (prevent editing)';
+        const headLocked = source.anchor === 'head';
+        const anchorIcon = headLocked ? '🎧' : '🌍';
+        const anchorTitle = headLocked
+            ? 'Head-locked: follows you (click to fix in world space)'
+            : 'World-locked: stays put (click to follow your head)';
         const lockedClass = source.locked ? 'locked' : '';
+        const silencedClass = this.audioEngine.getEffectiveGain(source) === 0 ? 'silenced' : '';
+        const faderDb = this.volumeToFaderDb(source.volume);
 
         return `
-            <div class="source-item ${lockedClass}" data-source-id="${source.id}">
+            <div class="source-item ${lockedClass} ${silencedClass}" data-source-id="${source.id}">
                 <div class="source-header">
                     <div class="source-name">${this.escapeHtml(source.name)}</div>
                     <div class="source-actions">
+                        <button class="source-anchor" data-source-id="${source.id}" title="${anchorTitle}">${anchorIcon}</button>
                         <button class="source-lock" data-source-id="${source.id}" title="${lockTitle}">${lockIcon}</button>
                         <button class="source-remove" data-source-id="${source.id}" title="Remove track">×</button>
                     </div>
                 </div>
+                <div class="source-mixer">
+                    <button class="mixer-btn source-mute ${source.muted ? 'active' : ''}"
+                            data-source-id="${source.id}"
+                            title="Mute">M</button>
+                    <button class="mixer-btn source-solo ${source.solo ? 'active' : ''}"
+                            data-source-id="${source.id}"
+                            title="Solo (Shift+click to add to solo)">S</button>
+                    <input type="range"
+                           class="fader source-fader"
+                           data-source-id="${source.id}"
+                           min="${this.faderMinDb}"
+                           max="${this.faderMaxDb}"
+                           step="0.5"
+                           value="${faderDb}">
+                    <span class="fader-value" data-source-id="${source.id}">${this.formatDb(faderDb)}</span>
+                </div>
+                ${this.renderGroupPicker(source)}
+                ${this.renderDistanceSection(source)}
+                ${this.renderConeSection(source)}
+                ${this.renderReverbSection(source)}
+                ${this.renderDopplerSection(source)}
+                ${this.renderWidthSection(source)}
+                ${this.renderPathSection(source)}
+                ${this.renderBehaviorSection(source)}
                 <div class="source-position">
                     <label>📍 Position:</label>
                     <div class="coord-inputs">
@@ -111,6 +646,333 @@ class SourceManager {
         `;
     }
 
+    /**
+     * Render a collapsible section of a source item
+     */
+    renderSection(source, section, title, body) {
+        const open = this.openSections.has(`${source.id}:${section}`) ? 'open' : '';
+
+        return `
+            <details class="source-section" data-source-id="${source.id}" data-section="${section}" ${open}>
+                <summary>${title}</summary>
+                ${body}
+            </details>
+        `;
+    }
+
+    /**
+     * Render distance attenuation controls with curve preview
+     */
+    renderDistanceSection(source) {
+        const { model, refDistance, maxDistance, rolloffFactor } = source.distance;
+        const option = (value, label) =>
+            `<option value="${value}" ${model === value ? 'selected' : ''}>${label}</option>`;
+        const numberInput = (field, label, value, step) => `
+            <div class="coord-group">
+                <label>${label}</label>
+                <input type="number"
+                       class="coord-input distance-input"
+                       data-source-id="${source.id}"
+                       data-field="${field}"
+                       step="${step}"
+                       value="${value}">
+            </div>`;
+
+        return this.renderSection(source, 'distance', '📉 Distance', `
+            <div class="section-row">
+                <label>Model:</label>
+                <select class="section-select distance-input" data-source-id="${source.id}" data-field="model">
+                    ${option('linear', 'Linear')}
+                    ${option('inverse', 'Inverse')}
+                    ${option('exponential', 'Exponential')}
+                </select>
+            </div>
+            <div class="coord-inputs">
+                ${numberInput('refDistance', 'Ref', refDistance, 0.5)}
+                ${numberInput('maxDistance', 'Max', maxDistance, 5)}
+                ${numberInput('rolloffFactor', 'Rolloff', rolloffFactor, 0.1)}
+            </div>
+            <canvas class="attenuation-preview" data-source-id="${source.id}" width="256" height="64"></canvas>
+            <label class="panel-check" title="Far sources lose high frequencies (humidity and strength in the Room panel)">
+                <input type="checkbox"
+                       class="air-input"
+                       data-source-id="${source.id}"
+                       ${source.airAbsorption ? 'checked' : ''}>
+                Air absorption
+            </label>
+        `);
+    }
+
+    /**
+     * Render facing and sound cone controls
+     */
+    renderConeSection(source) {
+        const numberInput = (field, label, step) => `
+            <div class="coord-group">
+                <label>${label}</label>
+                <input type="number"
+                       class="coord-input cone-input"
+                       data-source-id="${source.id}"
+                       data-field="${field}"
+                       step="${step}"
+                       value="${source.cone[field]}">
+            </div>`;
+
+        return this.renderSection(source, 'cone', '🔦 Directivity', `
+            <div class="coord-inputs">
+                ${numberInput('yaw', 'Facing°', 15)}
+                ${numberInput('innerAngle', 'Inner°', 10)}
+                ${numberInput('outerAngle', 'Outer°', 10)}
+                ${numberInput('outerGain', 'Out Gain', 0.05)}
+            </div>
+            <p class="section-hint">Inner 360° = omnidirectional. Drag the handle on the map to rotate.</p>
+        `);
+    }
+
+    /**
+     * Render the reverb send fader
+     */
+    renderReverbSection(source) {
+        const sendDb = Math.min(0, this.volumeToFaderDb(source.reverbSend));
+
+        return this.renderSection(source, 'reverb', '🏛️ Reverb Send', `
+            <div class="source-mixer">
+                <input type="range"
+                       class="fader reverb-send"
+                       data-source-id="${source.id}"
+                       min="${this.faderMinDb}"
+                       max="0"
+                       step="0.5"
+                       value="${sendDb}">
+                <span class="fader-value reverb-send-value" data-source-id="${source.id}">${this.formatDb(sendDb)}</span>
+            </div>
+        `);
+    }
+
+    /**
+     * Render Doppler toggle and amount
+     */
+    renderDopplerSection(source) {
+        return this.renderSection(source, 'doppler', '🚀 Doppler', `
+            <div class="section-row">
+                <label class="panel-check">
+                    <input type="checkbox"
+                           class="doppler-input"
+                           data-source-id="${source.id}"
+                           data-field="enabled"
+                           ${source.doppler.enabled ? 'checked' : ''}>
+                    Pitch shift from motion
+                </label>
+            </div>
+            <div class="coord-inputs">
+                <div class="coord-group">
+                    <label>Amount</label>
+                    <input type="number"
+                           class="coord-input doppler-input"
+                           data-source-id="${source.id}"
+                           data-field="factor"
+                           min="0"
+                           step="0.25"
+                           value="${source.doppler.factor}">
+                </div>
+            </div>
+            <p class="section-hint">Amount 1 = physical. Higher exaggerates fly-bys.</p>
+        `);
+    }
+
+    /**
+     * Render wide source controls (stereo and multichannel files only)
+     */
+    renderWidthSection(source) {
+        const channels = source.buffer.numberOfChannels;
+        if (channels < 2) return '';
+
+        const { enabled, spread, rotation } = source.width;
+        const numberInput = (field, label, step) => `
+            <div class="coord-group">
+                <label>${label}</label>
+                <input type="number"
+                       class="coord-input width-input"
+                       data-source-id="${source.id}"
+                       data-field="${field}"
+                       step="${step}"
+                       value="${source.width[field]}">
+            </div>`;
+
+        return this.renderSection(source, 'width', `↔️ Width${enabled ? ` (${channels} ch)` : ''}`, `
+            <div class="section-row">
+                <label class="panel-check">
+                    <input type="checkbox"
+                           class="width-input"
+                           data-source-id="${source.id}"
+                           data-field="enabled"
+                           ${enabled ? 'checked' : ''}>
+                    Split ${channels} channels into emitters
+                </label>
+            </div>
+            <div class="coord-inputs">
+                ${numberInput('spread', 'Width', 0.5)}
+                ${numberInput('rotation', 'Rotate°', 15)}
+            </div>
+            <p class="section-hint">Width is the distance between the outer emitters. Rotate 0° puts the first channel west, the last east.</p>
+        `);
+    }
+
+    /**
+     * Render motion path interpolation, keyframe list and actions
+     */
+    renderPathSection(source) {
+        const { keyframes, interpolation } = source.path;
+        const disabled = source.locked ? 'disabled' : '';
+        const option = (value, label) =>
+            `<option value="${value}" ${interpolation === value ? 'selected' : ''}>${label}</option>`;
+
+        const rows = keyframes.map((keyframe, index) => `
+            <li>
+                <span>${keyframe.time.toFixed(2)}s</span>
+                <span>(${keyframe.position.x.toFixed(1)}, ${keyframe.position.z.toFixed(1)})</span>
+                <button class="path-key-remove"
+                        data-source-id="${source.id}"
+                        data-index="${index}"
+                        title="Delete keyframe"
+                        ${disabled}>×</button>
+            </li>`).join('');
+
+        const hint = source.anchor === 'head'
+            ? 'Head-locked sources ignore their path. Anchor to the world to follow it.'
+            : 'Drag ◆ on the map to move a keyframe, Alt+click to delete it. Dropping the source sets a keyframe at the playhead; with ⏺ Record Moves on, dragging it during playback records the path.';
+
+        return this.renderSection(source, 'path', `🛤️ Motion Path${keyframes.length ? ` (${keyframes.length})` : ''}`, `
+            <div class="section-row">
+                <label>Curve</label>
+                <select class="section-select path-interpolation" data-source-id="${source.id}" ${disabled}>
+                    ${option('linear', 'Linear')}
+                    ${option('spline', 'Spline')}
+                </select>
+            </div>
+            <div class="section-row">
+                <button class="path-btn path-key-btn" data-source-id="${source.id}" ${disabled}>◆ Key at Playhead</button>
+                <button class="path-btn path-clear-btn" data-source-id="${source.id}" ${keyframes.length ? disabled : 'disabled'}>Clear</button>
+            </div>
+            ${rows ? `<ul class="path-keyframes">${rows}</ul>` : ''}
+            <p class="section-hint">${hint}</p>
+        `);
+    }
+
+    /**
+     * Render attached motion behaviors with their settings, plus an add row
+     */
+    renderBehaviorSection(source) {
+        const types = MotionBehaviors.TYPES;
+        const disabled = source.locked ? 'disabled' : '';
+
+        const renderField = (behavior, index, field) => {
+            const data = `data-source-id="${source.id}" data-index="${index}" data-field="${field.key}"`;
+            const value = behavior[field.key];
+
+            const input = field.options
+                ? `<select class="section-select behavior-input" ${data} ${disabled}>
+                        ${Object.entries(field.options).map(([key, label]) =>
+                            `<option value="${key}" ${value === key ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                   </select>`
+                : `<input type="number" class="coord-input behavior-input" ${data} step="${field.step}" value="${value}" ${disabled}>`;
+
+            return `
+                <div class="coord-group">
+                    <label>${field.label}</label>
+                    ${input}
+                </div>`;
+        };
+
+        const blocks = source.behaviors.map((behavior, index) => `
+            <div class="behavior-block">
+                <div class="section-row">
+                    <label class="panel-check">
+                        <input type="checkbox"
+                               class="behavior-input"
+                               data-source-id="${source.id}"
+                               data-index="${index}"
+                               data-field="enabled"
+                               ${behavior.enabled ? 'checked' : ''}
+                               ${disabled}>
+                        ${types[behavior.type].label}
+                    </label>
+                    <button class="path-key-remove behavior-remove"
+                            data-source-id="${source.id}"
+                            data-index="${index}"
+                            title="Remove behavior"
+                            ${disabled}>×</button>
+                </div>
+                <div class="coord-inputs">
+                    ${types[behavior.type].fields.map(field => renderField(behavior, index, field)).join('')}
+                </div>
+            </div>`).join('');
+
+        const hint = source.anchor === 'head'
+            ? 'Head-locked sources ignore behaviors. Anchor to the world to use them.'
+            : 'Behaviors stack in order on top of the home or path position and follow the transport.';
+        const active = source.behaviors.filter(behavior => behavior.enabled).length;
+
+        return this.renderSection(source, 'behaviors', `🌀 Behaviors${active ? ` (${active})` : ''}`, `
+            ${blocks}
+            <div class="section-row">
+                <select class="section-select behavior-type" data-source-id="${source.id}" ${disabled}>
+                    ${Object.entries(types).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+                </select>
+                <button class="path-btn behavior-add-btn" data-source-id="${source.id}" ${disabled}>+ Add</button>
+            </div>
+            <p class="section-hint">${hint}</p>
+        `);
+    }
+
+    /**
+     * Plot gain against distance (0 to 50 units) for a source
+     */
+    drawAttenuationPreview(source) {
+        const canvas = this.sourceListEl.querySelector(`.attenuation-preview[data-source-id="${source.id}"]`);
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const rangeDistance = 50;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Reference distance marker
+        const refX = (source.distance.refDistance / rangeDistance) * width;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(refX, 0);
+        ctx.lineTo(refX, height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Gain curve
+        ctx.strokeStyle = '#00ff88';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const gain = this.audioEngine.computeDistanceGain(source.distance, (x / width) * rangeDistance);
+            const y = height - Math.max(0, Math.min(1, gain)) * (height - 4) - 2;
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+
+        // Axis label
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.font = '9px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${rangeDistance}m`, width - 2, height - 4);
+    }
+
     /**
      * Update a source position from input fields
      */
@@ -119,7 +981,7 @@ class SourceManager {
         if (!source) return;
 
         // Get all three coordinate inputs for this source
-        const inputs = this.sourceListEl.querySelectorAll(`.coord-input[data-source-id="${sourceId}"]`);
+        const inputs = this.sourceListEl.querySelectorAll(`.coord-input[data-axis][data-source-id="${sourceId}"]`);
 
         const newPosition = {};
         let hasInvalidInput = false;
@@ -142,8 +1004,16 @@ class SourceManager {
             return;
         }
 
-        // Update in audio engine
-        this.audioEngine.setSourcePosition(sourceId, newPosition);
+        this.recordPlacement(`Move ${source.name}`, [sourceId], () => {
+            // Update in audio engine (a typed jump is not motion)
+            this.audioEngine.setSourcePosition(sourceId, newPosition, true);
+
+            // A source on a path would drift straight back, so key it at the playhead
+            if (!source.path.isEmpty() && source.anchor !== 'head') {
+                this.audioEngine.addSourceKeyframe(sourceId, this.audioEngine.getCurrentTime(), newPosition);
+                this.updateSourceList();
+            }
+        });
 
         console.log(`Updated source ${sourceId} position to (${newPosition.x}, ${newPosition.y}, ${newPosition.z})`);
 
@@ -159,13 +1029,79 @@ class SourceManager {
     }
 
     /**
-     * Remove a source
+     * Remove a source (undo brings it back with its decoded buffer)
      */
     removeSource(sourceId) {
-        this.audioEngine.removeSource(sourceId);
+        const index = this.audioEngine.getSources().findIndex(source => source.id === sourceId);
+        const source = this.audioEngine.removeSource(sourceId);
+        if (source) {
+            this.history.push({
+                label: `Remove ${source.name}`,
+                undo: () => this.audioEngine.restoreSource(source, index),
+                redo: () => this.audioEngine.removeSource(source.id)
+            });
+        }
         this.updateSourceList();
     }
 
+    /**
+     * Apply an edit to sources' positions, paths or facing as one undo step
+     */
+    recordPlacement(label, sourceIds, edit) {
+        const before = this.audioEngine.capturePlacement(sourceIds);
+        edit();
+        const after = this.audioEngine.capturePlacement(sourceIds);
+        this.history.pushSnapshot(label, before, after, snapshot => this.audioEngine.restorePlacement(snapshot));
+    }
+
+    /**
+     * Placement edit on every member of a group
+     */
+    recordGroupPlacement(verb, groupId, edit) {
+        const group = this.audioEngine.groups.getGroup(groupId);
+        const memberIds = this.audioEngine.getGroupMembers(groupId).map(member => member.id);
+        this.recordPlacement(`${verb} ${group.name}`, memberIds, edit);
+    }
+
+    /**
+     * Apply a lock change as one undo step
+     */
+    recordLocks(label, sourceIds, edit) {
+        const capture = () => sourceIds.map(sourceId => this.audioEngine.getSource(sourceId))
+            .filter(Boolean)
+            .map(source => ({ id: source.id, locked: source.locked }));
+
+        const before = capture();
+        edit();
+        this.history.pushSnapshot(label, before, capture(), snapshot => {
+            snapshot.forEach(({ id, locked }) => this.audioEngine.setSourceLocked(id, locked));
+        });
+    }
+
+    /**
+     * Convert a fader position in dB to linear volume
+     */
+    faderDbToVolume(db) {
+        if (db <= this.faderMinDb) return 0;
+        return this.audioEngine.dbToGain(db);
+    }
+
+    /**
+     * Convert linear volume to a fader position in dB
+     */
+    volumeToFaderDb(volume) {
+        const db = this.audioEngine.gainToDb(volume);
+        return Math.max(this.faderMinDb, Math.min(this.faderMaxDb, db));
+    }
+
+    /**
+     * Format a fader value for display
+     */
+    formatDb(db) {
+        if (db <= this.faderMinDb) return '-∞ dB';
+        return `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+    }
+
     /**
      * Update track count display
      */
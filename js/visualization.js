@@ -1,33 +1,124 @@
 /**
  * Visualization for SHAC Simulator
  * Displays player position and audio sources in 3D space
- * Adapted from SHAC Golf visualization.js + VisionQuest FOV culling
+ * Adapted from SHAC Golf visualization.js
  *
  * Features:
- * - 180° FOV culling (only shows sources in front hemisphere)
+ * - First-person perspective view from the listener's head (facing and
+ *   pitch): billboard sources, floor grid, horizon and movement bubble
  * - Top-down 2D projection
  * - Pulsing source indicators
  * - Distance labels
  * - Compass with direction indicator
+ * - Sound cone wedges with rotate handles
+ * - Wall and box obstacles (drawn with the obstacle tools, click to select)
+ * - Head-locked sources in violet with a dashed ring (they follow the listener)
+ * - Motion paths as curves with draggable keyframe diamonds; with recording
+ *   on, dragging a source during playback writes its path
+ * - Ghost trails behind sources with motion behaviors
+ * - Wide sources show their per-channel emitters on a line through the source
+ * - Source groups outlined by a padded hull: drag it to move the group,
+ *   Shift+drag to rotate, Alt+drag to scale (around the group center)
+ * - Every drag is one undo step (see command-history.js)
+ * - Multi-selection: Shift+click toggles a source, dragging on empty space
+ *   draws a selection box; dragging any selected source moves them all
+ * - Drag snapping to the grid or to polar steps around the listener;
+ *   Shift while dragging locks to the X or Z axis, Alt drags freely
+ * - Side (x/y) and front (z/y) elevation views, alone or split next to the
+ *   top-down map; dragging a source there changes its height
+ * - Camera: wheel zoom around the cursor, middle-drag pan, and modes that
+ *   follow the listener or keep every source framed; off-screen sources
+ *   get arrows at the map edge
  */
 
 class Visualization {
-    constructor(canvas, audioEngine) {
+    constructor(canvas, audioEngine, history) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.audioEngine = audioEngine;
+        this.history = history;
         this.width = 0;
         this.height = 0;
         this.centerX = 0;
         this.centerY = 0;
         this.scale = 20; // Pixels per unit
+        this.minScale = 1;
+        this.maxScale = 200;
+
+        // Camera: 'free' (pan/zoom by hand), 'follow' (listener at the center)
+        // or 'frame' (keeps every source in view)
+        this.cameraMode = 'free';
+        this.cameraCenter = { x: 0, y: 0, z: 0 }; // World point at the viewport center (free/frame)
+        this.pan = null; // { mouse, center } while middle-dragging
+        this.framePadding = 80; // Pixels kept clear around framed sources
+        this.onCameraChange = null; // Callback(mode) when the camera mode changes
         this.viewMode = 'topdown'; // 'topdown' or 'firstperson'
+
+        // First-person perspective (ears at the listener position)
+        this.fieldOfView = 90;      // Horizontal degrees (wheel changes it)
+        this.nearPlane = 0.1;       // World units; nearer points aren't drawn
+        this.floorLevel = -1.6;     // World y of the floor grid, below ear level
+        this.floorExtent = 60;      // World units of floor grid around the listener
+        this.movementRadius = null; // Movement bubble to outline (set by the app)
+        this.perspective = null;    // { eye, yaw, pitch, focal } of the last first-person frame
+
+        // Projections: 'top' (x/z map), 'side' (x/y) or 'front' (z/y)
+        this.layout = 'top'; // One projection, or 'split' for all three
+        this.projection = 'top'; // Projection of the viewport being drawn or edited
+        this.viewport = null; // { projection, x, y, width, height } in canvas pixels
+        this.pointerViewport = null; // Viewport the current mouse gesture belongs to
+        this.splitRatio = 0.6; // Share of the width the map gets in split layout
         this.compositionMode = true; // true = composition (walk through soundscape), false = authoring (sonar mode)
 
         // Drag state
         this.isDragging = false;
         this.draggedSource = null;
         this.dragOffset = { x: 0, y: 0 };
+        this.dragUndo = null; // { label, before } placement snapshot taken when a drag starts
+        this.draggedSources = []; // Every source moving with the dragged one (the selection)
+
+        // Drag snapping: 'off', 'grid' (gridSnapStep) or 'polar' (angle/radius
+        // steps around the listener)
+        this.snapMode = 'off';
+        this.gridSize = 5;          // World units between drawn grid lines
+        this.gridSnapStep = 1;      // World units
+        this.polarAngleStep = 15;   // Degrees
+        this.polarRadiusStep = 1;   // World units
+        this.dragStart = null;      // World { x, z } of the dragged point when the drag began
+        this.dragAxis = null;       // 'x' or 'z' while Shift locks the drag
+        this.dragReadout = null;    // World { x, z } of the adjusted drag point, for the readout
+
+        // Source selection
+        this.selectedSourceIds = new Set();
+        this.selectionBox = null; // Screen { start, current, additive } while dragging a box
+        this.onSelectionChange = null; // Callback(sources) after the selection changes
+
+        // Cone rotate state
+        this.isRotating = false;
+        this.rotatedSource = null;
+        this.coneHandleDistance = 45; // Pixels from source center
+
+        // Obstacle drawing ('wall' or 'box' while a draw tool is active)
+        this.drawTool = null;
+        this.drawStart = null;   // World { x, z } where the current shape began
+        this.drawCurrent = null;
+        this.obstacleMaterial = 'drywall'; // Material for new obstacles
+        this.selectedObstacleId = null;
+        this.onObstacleSelect = null; // Callback(obstacle | null)
+
+        // Motion path editing
+        this.recordPath = false;     // Record source drags into keyframes during playback
+        this.draggedKeyframe = null; // { source, index } while moving a keyframe
+        this.dragMoved = false;      // The dragged source actually moved
+        this.onPathEdit = null;      // Callback(source) after keyframes change
+
+        // Group transform drag ({ id, mode: 'move' | 'rotate' | 'scale', pivot, last })
+        this.draggedGroup = null;
+        this.groupPadding = 30; // Pixels between members and their hull
+
+        // Ghost trails (where behavior-driven sources were over the last moments)
+        this.trailLength = 24;   // Ghost dots per trail
+        this.trailSpacing = 0.08; // Seconds between ghost dots
 
         // Current render state (for hit detection)
         this.playerPos = { x: 0, y: 0, z: 0 };
@@ -46,45 +137,128 @@ class Visualization {
         this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
         this.canvas.addEventListener('mouseup', (e) => this.onMouseUp(e));
         this.canvas.addEventListener('mouseleave', (e) => this.onMouseUp(e));
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
     }
 
     onMouseDown(e) {
         // Skip if pointer is locked (FPS mouse look mode)
         if (document.pointerLockElement === this.canvas) return;
 
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
+        const { x: mouseX, y: mouseY } = this.getPointer(e, true);
+        const topDown = this.projection === 'top';
 
-        // Check if clicked on a source
-        for (const source of this.sources) {
-            // Skip locked sources - can't drag them
-            if (source.locked) continue;
+        // Middle button pans (the camera stops following or framing)
+        if (e.button === 1 && this.projection !== 'perspective') {
+            e.preventDefault();
+            if (this.cameraMode !== 'free') this.setCameraMode('free');
+            this.pan = { mouse: { x: mouseX, y: mouseY }, center: { ...this.cameraCenter } };
+            this.canvas.style.cursor = 'move';
+            return;
+        }
 
-            // Calculate screen position based on current mode
-            let screenX, screenY;
-            if (this.compositionMode) {
-                // Composition mode: sources at absolute positions
-                screenX = this.centerX + source.position.x * this.scale;
-                screenY = this.centerY - source.position.z * this.scale;
-            } else {
-                // Authoring mode: sources relative to player
-                screenX = this.centerX + (source.position.x - this.playerPos.x) * this.scale;
-                screenY = this.centerY - (source.position.z - this.playerPos.z) * this.scale;
+        // Only the primary button edits (first person has no middle-drag pan)
+        if (e.button !== 0) return;
+
+        // Draw tools take over the map
+        if (this.drawTool && topDown) {
+            this.drawStart = this.screenToWorld(mouseX, mouseY);
+            this.drawCurrent = this.drawStart;
+            return;
+        }
+
+        // Cone rotate handles sit outside the source circles, so check them first
+        const rotateSource = topDown && this.hitTestConeHandle(mouseX, mouseY);
+        if (rotateSource) {
+            this.isRotating = true;
+            this.rotatedSource = rotateSource;
+            this.beginDragUndo('Rotate cone', [rotateSource.id]);
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+
+        // Keyframes: drag to move, Alt+click to delete
+        const keyframe = topDown && this.hitTestKeyframe(mouseX, mouseY);
+        if (keyframe) {
+            if (e.altKey) {
+                this.beginDragUndo('Delete keyframe', [keyframe.source.id]);
+                this.audioEngine.removeSourceKeyframe(keyframe.source.id, keyframe.index);
+                this.finishDragUndo();
+                if (this.onPathEdit) this.onPathEdit(keyframe.source);
+                return;
             }
+            this.draggedKeyframe = keyframe;
+            const keyPosition = keyframe.source.path.keyframes[keyframe.index].position;
+            this.dragStart = { x: keyPosition.x, z: keyPosition.z };
+            this.beginDragUndo('Move keyframe', [keyframe.source.id]);
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
 
-            const dx = mouseX - screenX;
-            const dy = mouseY - screenY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        // Check if clicked on a source (Shift+click adds or removes it from the selection)
+        const source = this.hitTestSource(mouseX, mouseY);
+        if (source && e.shiftKey) {
+            const ids = new Set(this.selectedSourceIds);
+            if (ids.has(source.id)) {
+                ids.delete(source.id);
+            } else {
+                ids.add(source.id);
+            }
+            this.setSelection(ids);
+            return;
+        }
 
-            // Check if click is within source circle (with some padding)
-            if (distance < 30) {
-                this.isDragging = true;
-                this.draggedSource = source;
-                this.dragOffset = { x: dx, y: dy };
-                this.canvas.style.cursor = 'grabbing';
-                break;
+        if (source) {
+            if (!this.selectedSourceIds.has(source.id)) {
+                this.setSelection([source.id]);
             }
+
+            const screen = this.worldToScreen(source.position);
+            this.isDragging = true;
+            this.draggedSource = source;
+            this.draggedSources = this.getSelectedSources();
+            this.dragMoved = false;
+            this.dragOffset = { x: mouseX - screen.x, y: mouseY - screen.y };
+            this.dragStart = { x: source.position.x, z: source.position.z };
+            const label = this.draggedSources.length > 1 ? `Move ${this.draggedSources.length} sources` : `Move ${source.name}`;
+            this.beginDragUndo(label, this.draggedSources.map(s => s.id));
+            this.canvas.style.cursor = 'grabbing';
+
+            // The mouse drives the sources until release, not their paths or behaviors
+            this.draggedSources.forEach(s => this.audioEngine.setSourceHeld(s.id, true));
+            return;
+        }
+
+        // Grab a group by its outline
+        const group = topDown && this.hitTestGroup(mouseX, mouseY);
+        if (group) {
+            let mode = 'move';
+            if (e.shiftKey) mode = 'rotate';
+            if (e.altKey) mode = 'scale';
+
+            this.draggedGroup = {
+                id: group.id,
+                mode,
+                pivot: this.audioEngine.getGroupCenter(group.id),
+                last: this.screenToWorld(mouseX, mouseY)
+            };
+            const memberIds = this.audioEngine.getGroupMembers(group.id).map(member => member.id);
+            const verb = { move: 'Move', rotate: 'Rotate', scale: 'Scale' }[mode];
+            this.beginDragUndo(`${verb} ${group.name}`, memberIds);
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+
+        // Otherwise select (or deselect) an obstacle
+        const obstacle = topDown ? this.hitTestObstacle(mouseX, mouseY) : null;
+        if (topDown) this.selectObstacle(obstacle ? obstacle.id : null);
+
+        // Empty space starts a selection box
+        if (!obstacle) {
+            this.selectionBox = {
+                start: { x: mouseX, y: mouseY },
+                current: { x: mouseX, y: mouseY },
+                additive: e.shiftKey
+            };
         }
     }
 
@@ -92,69 +266,819 @@ class Visualization {
         // Skip if pointer is locked (FPS mouse look mode)
         if (document.pointerLockElement === this.canvas) return;
 
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
-        const mouseY = e.clientY - rect.top;
-
-        if (this.isDragging && this.draggedSource) {
+        const { x: mouseX, y: mouseY } = this.getPointer(e, !this.hasGesture());
+        const topDown = this.projection === 'top';
+
+        if (this.pan) {
+            this.panCamera(mouseX, mouseY);
+        } else if (this.drawStart) {
+            this.drawCurrent = this.screenToWorld(mouseX, mouseY);
+        } else if (this.selectionBox) {
+            this.selectionBox.current = { x: mouseX, y: mouseY };
+            this.canvas.style.cursor = 'crosshair';
+        } else if (this.drawTool && topDown) {
+            this.canvas.style.cursor = 'crosshair';
+        } else if (this.isRotating && this.rotatedSource) {
+            // Face the source toward the mouse
+            const world = this.screenToWorld(mouseX, mouseY);
+            const dx = world.x - this.rotatedSource.position.x;
+            const dz = world.z - this.rotatedSource.position.z;
+            let yaw = Math.atan2(dx, dz) * (180 / Math.PI);
+            if (yaw < 0) yaw += 360;
+
+            this.audioEngine.setSourceCone(this.rotatedSource.id, { yaw });
+        } else if (this.draggedGroup) {
+            this.dragGroup(this.screenToWorld(mouseX, mouseY));
+        } else if (this.draggedKeyframe) {
+            const { source, index } = this.draggedKeyframe;
+            const world = this.adjustDragPoint(this.screenToWorld(mouseX, mouseY), e);
+            this.audioEngine.moveSourceKeyframe(source.id, index, {
+                x: world.x,
+                y: source.path.keyframes[index].position.y,
+                z: world.z
+            });
+        } else if (this.isDragging && this.draggedSource && this.projection === 'perspective') {
+            this.dragOnSphere(mouseX, mouseY, e);
+        } else if (this.isDragging && this.draggedSource && !topDown) {
+            this.dragHeight(mouseX, mouseY, e);
+        } else if (this.isDragging && this.draggedSource) {
             // Calculate new world position based on mode
-            let worldX, worldZ;
-            if (this.compositionMode) {
-                // Composition mode: absolute world positions
-                worldX = ((mouseX - this.dragOffset.x) - this.centerX) / this.scale;
-                worldZ = -((mouseY - this.dragOffset.y) - this.centerY) / this.scale;
+            const world = this.adjustDragPoint(this.screenToWorld(mouseX - this.dragOffset.x, mouseY - this.dragOffset.y), e);
+            this.moveDraggedSources({ ...world, y: this.draggedSource.position.y });
+        } else {
+            // Update cursor based on hover (elevation views only drag sources)
+            const hovering = topDown
+                ? this.hitTestConeHandle(mouseX, mouseY) ||
+                    this.hitTestKeyframe(mouseX, mouseY) ||
+                    this.hitTestSource(mouseX, mouseY) ||
+                    this.hitTestGroup(mouseX, mouseY)
+                : this.hitTestSource(mouseX, mouseY);
+            if (hovering) {
+                this.canvas.style.cursor = 'grab';
             } else {
-                // Authoring mode: relative to player
-                worldX = ((mouseX - this.dragOffset.x) - this.centerX) / this.scale + this.playerPos.x;
-                worldZ = -((mouseY - this.dragOffset.y) - this.centerY) / this.scale + this.playerPos.z;
+                this.canvas.style.cursor = topDown && this.hitTestObstacle(mouseX, mouseY) ? 'pointer' : 'default';
             }
+        }
+    }
+
+    onMouseUp(e) {
+        // Finish in the viewport the gesture started in
+        if (this.pointerViewport) this.applyViewport(this.pointerViewport);
+
+        if (this.pan) {
+            this.pan = null;
+            this.canvas.style.cursor = 'default';
+            return;
+        }
+
+        if (this.drawStart) {
+            // Leaving the canvas cancels the shape
+            if (e.type === 'mouseup') this.finishObstacle();
+            this.drawStart = null;
+            this.drawCurrent = null;
+            return;
+        }
+
+        if (this.selectionBox) {
+            this.finishSelectionBox();
+            return;
+        }
+
+        if (this.draggedKeyframe) {
+            if (this.onPathEdit) this.onPathEdit(this.draggedKeyframe.source);
+            this.draggedKeyframe = null;
+        }
+
+        if (this.draggedSource) {
+            this.draggedSources.forEach(source => this.finishSourceDrag(source));
+        }
+
+        this.draggedGroup = null;
+        this.finishDragUndo();
+
+        this.isDragging = false;
+        this.draggedSource = null;
+        this.draggedSources = [];
+        this.dragStart = null;
+        this.dragAxis = null;
+        this.dragReadout = null;
+        this.isRotating = false;
+        this.rotatedSource = null;
+        this.canvas.style.cursor = 'default';
+    }
+
+    /**
+     * Mouse position relative to its viewport, which becomes the active one
+     * Mid-gesture (starting false) the gesture's viewport stays active even
+     * when the mouse crosses into another
+     */
+    getPointer(e, starting) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (starting || !this.pointerViewport) {
+            this.pointerViewport = this.getViewportAt(x, y);
+        }
+        this.applyViewport(this.pointerViewport);
+
+        return { x: x - this.pointerViewport.x, y: y - this.pointerViewport.y };
+    }
+
+    /**
+     * Check whether a mouse gesture (drag, box, drawing) is under way
+     */
+    hasGesture() {
+        return !!(this.pan || this.drawStart || this.selectionBox || this.isDragging || this.isRotating ||
+            this.draggedKeyframe || this.draggedGroup);
+    }
+
+    /**
+     * Wheel zoom, keeping the point under the cursor in place
+     * (around the listener while following)
+     */
+    onWheel(e) {
+        e.preventDefault();
+
+        const { x: mouseX, y: mouseY } = this.getPointer(e, !this.hasGesture());
+
+        // First person zooms by narrowing the field of view
+        if (this.projection === 'perspective') {
+            this.fieldOfView = Math.max(30, Math.min(120, this.fieldOfView * Math.exp(e.deltaY * 0.001)));
+            return;
+        }
+
+        const scale = Math.max(this.minScale, Math.min(this.maxScale, this.scale * Math.exp(-e.deltaY * 0.0015)));
+
+        if (this.cameraMode === 'follow') {
+            this.scale = scale;
+            return;
+        }
+        if (this.cameraMode === 'frame') this.setCameraMode('free');
+
+        const before = this.screenToWorld(mouseX, mouseY);
+        this.scale = scale;
+        const after = this.screenToWorld(mouseX, mouseY);
+        Object.keys(before).forEach(axis => {
+            this.cameraCenter[axis] += before[axis] - after[axis];
+        });
+    }
+
+    /**
+     * Drag the view with the middle button (along the active projection's axes)
+     */
+    panCamera(mouseX, mouseY) {
+        const across = (mouseX - this.pan.mouse.x) / this.scale;
+        const up = (mouseY - this.pan.mouse.y) / this.scale;
+        const center = { ...this.pan.center };
+
+        if (this.projection === 'top') {
+            center.x -= across;
+            center.z += up;
+        } else {
+            center[this.projection === 'side' ? 'x' : 'z'] -= across;
+            center.y += up;
+        }
+        this.cameraCenter = center;
+    }
+
+    /**
+     * Switch camera mode ('free', 'follow' or 'frame')
+     * Free mode picks up wherever the camera is now
+     */
+    setCameraMode(mode) {
+        if (mode === 'free') this.cameraCenter = { ...this.getViewCenter() };
+        this.cameraMode = mode;
+        if (this.onCameraChange) this.onCameraChange(mode);
+    }
+
+    /**
+     * World point at the middle of the viewports
+     */
+    getViewCenter() {
+        return this.cameraMode === 'follow' ? this.playerPos : this.cameraCenter;
+    }
+
+    /**
+     * Frame mode: ease toward the view that fits every source and the listener
+     */
+    updateFraming() {
+        if (this.cameraMode !== 'frame') return;
+
+        const target = this.getFraming();
+        const ease = 0.15;
+        this.cameraCenter = {
+            x: this.cameraCenter.x + (target.center.x - this.cameraCenter.x) * ease,
+            y: this.cameraCenter.y,
+            z: this.cameraCenter.z + (target.center.z - this.cameraCenter.z) * ease
+        };
+        this.scale += (target.scale - this.scale) * ease;
+    }
+
+    /**
+     * Center and scale that fit every source and the listener on the map
+     */
+    getFraming() {
+        const points = [this.playerPos, ...this.sources.map(source => source.position)];
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minZ = Math.min(...zs);
+        const maxZ = Math.max(...zs);
+
+        const map = this.getViewports()[0];
+        const padding = this.framePadding;
+        const scale = Math.min(
+            (map.width - 2 * padding) / Math.max(maxX - minX, 1),
+            (map.height - 2 * padding) / Math.max(maxZ - minZ, 1)
+        );
+
+        return {
+            center: { x: (minX + maxX) / 2, z: (minZ + maxZ) / 2 },
+            scale: Math.max(this.minScale, Math.min(this.maxScale, scale))
+        };
+    }
+
+    /**
+     * Raise or lower the dragged sources (side and front views)
+     * Grid snapping rounds the height, Alt drags freely
+     */
+    dragHeight(mouseX, mouseY, e) {
+        let { y } = this.screenToWorld(mouseX - this.dragOffset.x, mouseY - this.dragOffset.y);
+        if (this.snapMode === 'grid' && !e.altKey) {
+            const origin = this.getGridOrigin();
+            y = origin.y + Math.round((y - origin.y) / this.gridSnapStep) * this.gridSnapStep;
+        }
+
+        this.moveDraggedSources({ ...this.draggedSource.position, y });
+        this.dragReadout = { ...this.draggedSource.position };
+    }
+
+    /**
+     * Move the dragged source around the listener's head (first person):
+     * it stays under the cursor at the same distance, so horizontal moves
+     * change its bearing and vertical moves its elevation
+     * Snapping and the axis lock apply to the x/z part
+     */
+    dragOnSphere(mouseX, mouseY, e) {
+        const eye = this.perspective.eye;
+        const direction = this.screenRay(mouseX - this.dragOffset.x, mouseY - this.dragOffset.y);
+        const position = this.draggedSource.position;
+        const distance = Math.sqrt(
+            (position.x - eye.x) ** 2 + (position.y - eye.y) ** 2 + (position.z - eye.z) ** 2
+        );
+
+        const y = eye.y + direction.y * distance;
+        const point = this.adjustDragPoint({
+            x: eye.x + direction.x * distance,
+            z: eye.z + direction.z * distance
+        }, e);
+
+        this.moveDraggedSources({ x: point.x, y, z: point.z });
+        this.dragReadout = { ...this.draggedSource.position };
+    }
+
+    /**
+     * Put the dragged source at a position; the rest of the selection keeps
+     * its offset from it
+     */
+    moveDraggedSources(target) {
+        const dx = target.x - this.draggedSource.position.x;
+        const dy = target.y - this.draggedSource.position.y;
+        const dz = target.z - this.draggedSource.position.z;
+
+        this.draggedSources.forEach(source => {
+            const position = {
+                x: source.position.x + dx,
+                y: source.position.y + dy,
+                z: source.position.z + dz
+            };
 
             // Update source position in audio engine
-            this.audioEngine.setSourcePosition(this.draggedSource.id, {
-                x: worldX,
-                y: this.draggedSource.position.y,
-                z: worldZ
-            });
+            this.audioEngine.setSourcePosition(source.id, position);
+
+            if (this.isRecordingPath()) {
+                this.audioEngine.recordSourceKeyframe(source.id, position);
+            }
+        });
+        this.dragMoved = true;
+    }
+
+    /**
+     * Snap a dragged world point and apply the axis lock
+     * Shift locks to the axis moved along most since the drag began,
+     * Alt skips snapping
+     */
+    adjustDragPoint(world, e) {
+        let point = e.altKey ? world : this.snapPoint(world);
+
+        this.dragAxis = null;
+        if (e.shiftKey && this.dragStart) {
+            const movedX = Math.abs(world.x - this.dragStart.x);
+            const movedZ = Math.abs(world.z - this.dragStart.z);
+            this.dragAxis = movedX >= movedZ ? 'x' : 'z';
+
+            // Grid snapping still applies along the free axis
+            point = this.dragAxis === 'x'
+                ? { x: point.x, z: this.dragStart.z }
+                : { x: this.dragStart.x, z: point.z };
+        }
+
+        this.dragReadout = point;
+        return point;
+    }
+
+    /**
+     * Snap a world point (x/z) with the current snap mode
+     */
+    snapPoint(world) {
+        if (this.snapMode === 'grid') {
+            const origin = this.getGridOrigin();
+            const step = this.gridSnapStep;
+            return {
+                x: origin.x + Math.round((world.x - origin.x) / step) * step,
+                z: origin.z + Math.round((world.z - origin.z) / step) * step
+            };
+        }
+
+        if (this.snapMode === 'polar') {
+            const listener = this.playerPos;
+            const dx = world.x - listener.x;
+            const dz = world.z - listener.z;
+            const angleStep = this.polarAngleStep * (Math.PI / 180);
+            const angle = Math.round(Math.atan2(dx, dz) / angleStep) * angleStep;
+            const radius = Math.max(this.polarRadiusStep,
+                Math.round(Math.sqrt(dx * dx + dz * dz) / this.polarRadiusStep) * this.polarRadiusStep);
+            return {
+                x: listener.x + Math.sin(angle) * radius,
+                z: listener.z + Math.cos(angle) * radius
+            };
+        }
+
+        return world;
+    }
+
+    /**
+     * World point under the screen center, where the drawn grid lines start
+     */
+    getGridOrigin() {
+        return this.compositionMode
+            ? { x: 0, y: 0, z: 0 }
+            : { x: this.playerPos.x, y: this.playerPos.y, z: this.playerPos.z };
+    }
+
+    /**
+     * Set the snap mode ('off', 'grid' or 'polar') and its step
+     * (world units for the grid, degrees for polar)
+     */
+    setSnap(mode, step) {
+        this.snapMode = mode;
+        if (mode === 'grid') this.gridSnapStep = step;
+        if (mode === 'polar') this.polarAngleStep = step;
+    }
+
+    /**
+     * Select the unlocked sources inside the box (a click without a drag
+     * clears the selection)
+     * A real box leaves the crosshair cursor up, so the click that follows
+     * doesn't grab the mouse for mouse look
+     */
+    finishSelectionBox() {
+        const { start, current, additive } = this.selectionBox;
+        this.selectionBox = null;
+
+        const boxed = Math.abs(current.x - start.x) > 3 || Math.abs(current.y - start.y) > 3;
+        if (!boxed) {
+            if (!additive) this.setSelection([]);
+            this.canvas.style.cursor = 'default';
+            return;
+        }
+
+        const left = Math.min(start.x, current.x);
+        const right = Math.max(start.x, current.x);
+        const top = Math.min(start.y, current.y);
+        const bottom = Math.max(start.y, current.y);
+
+        const ids = new Set(additive ? this.selectedSourceIds : []);
+        this.sources.forEach(source => {
+            if (source.locked) return;
+
+            const screen = this.worldToScreen(source.position);
+            if (screen.x >= left && screen.x <= right && screen.y >= top && screen.y <= bottom) {
+                ids.add(source.id);
+            }
+        });
+        this.setSelection(ids);
+    }
+
+    /**
+     * Replace the selection with these source ids
+     */
+    setSelection(sourceIds) {
+        this.selectedSourceIds = new Set(sourceIds);
+        if (this.onSelectionChange) this.onSelectionChange(this.getSelectedSources());
+    }
+
+    /**
+     * Selected sources that still exist and aren't locked
+     */
+    getSelectedSources() {
+        return Array.from(this.selectedSourceIds)
+            .map(id => this.audioEngine.getSource(id))
+            .filter(source => source && !source.locked);
+    }
+
+    isSelected(source) {
+        return this.selectedSourceIds.has(source.id);
+    }
+
+    /**
+     * Snapshot the sources a drag is about to change
+     */
+    beginDragUndo(label, sourceIds) {
+        this.dragUndo = { label, before: this.audioEngine.capturePlacement(sourceIds) };
+    }
+
+    /**
+     * Record the finished drag as one undo step (skipped if nothing moved)
+     */
+    finishDragUndo() {
+        if (!this.dragUndo) return;
+
+        const { label, before } = this.dragUndo;
+        const after = this.audioEngine.capturePlacement(before.map(placement => placement.id));
+        this.history.pushSnapshot(label, before, after, snapshot => this.audioEngine.restorePlacement(snapshot));
+        this.dragUndo = null;
+    }
+
+    /**
+     * Let go of a dragged source
+     * Outside of recording, dropping a source that has a path sets a
+     * keyframe at the playhead, so the path passes through the drop point
+     */
+    finishSourceDrag(source) {
+        const engine = this.audioEngine;
+        const recorded = this.isRecordingPath() && source.pathRecordTime !== null;
+
+        if (!recorded && this.dragMoved && !source.path.isEmpty() && source.anchor !== 'head') {
+            const time = engine.getCurrentTime();
+            engine.addSourceKeyframe(source.id, time, engine.removeBehaviorOffset(source, source.position, time));
+        }
+        engine.setSourceHeld(source.id, false);
+
+        if ((recorded || this.dragMoved) && !source.path.isEmpty() && this.onPathEdit) {
+            this.onPathEdit(source);
+        }
+    }
+
+    /**
+     * Move, rotate or scale the dragged group by the mouse movement since
+     * the last event
+     */
+    dragGroup(world) {
+        const engine = this.audioEngine;
+        const { id, mode, pivot, last } = this.draggedGroup;
+        this.draggedGroup.last = world;
+
+        if (mode === 'move') {
+            engine.moveGroup(id, world.x - last.x, world.z - last.z);
+            return;
+        }
+
+        const from = { x: last.x - pivot.x, z: last.z - pivot.z };
+        const to = { x: world.x - pivot.x, z: world.z - pivot.z };
+
+        if (mode === 'rotate') {
+            // Yaw-style angles (clockwise from north), like cones
+            let delta = (Math.atan2(to.x, to.z) - Math.atan2(from.x, from.z)) * (180 / Math.PI);
+            if (delta > 180) delta -= 360;
+            if (delta < -180) delta += 360;
+            engine.rotateGroup(id, delta, pivot);
         } else {
-            // Update cursor based on hover
-            let hovering = false;
-            for (const source of this.sources) {
-                if (source.locked) continue; // Skip locked sources
-
-                // Calculate screen position based on current mode
-                let screenX, screenY;
-                if (this.compositionMode) {
-                    screenX = this.centerX + source.position.x * this.scale;
-                    screenY = this.centerY - source.position.z * this.scale;
-                } else {
-                    screenX = this.centerX + (source.position.x - this.playerPos.x) * this.scale;
-                    screenY = this.centerY - (source.position.z - this.playerPos.z) * this.scale;
-                }
+            const fromDistance = Math.sqrt(from.x * from.x + from.z * from.z);
+            const toDistance = Math.sqrt(to.x * to.x + to.z * to.z);
+            // Too close to the pivot the ratio explodes
+            if (fromDistance < 0.1 || toDistance < 0.1) return;
+            engine.scaleGroup(id, toDistance / fromDistance, pivot);
+        }
+    }
+
+    /**
+     * Check whether source drags are being recorded right now
+     */
+    isRecordingPath() {
+        return this.recordPath && this.audioEngine.isPlaying;
+    }
+
+    /**
+     * Select a draw tool ('wall', 'box') or null to go back to selecting
+     */
+    setDrawTool(tool) {
+        this.drawTool = tool;
+        this.drawStart = null;
+        this.drawCurrent = null;
+        this.canvas.style.cursor = tool ? 'crosshair' : 'default';
+    }
+
+    /**
+     * Add the shape being drawn to the scene (ignores stray clicks)
+     */
+    finishObstacle() {
+        const a = this.drawStart;
+        const b = this.drawCurrent;
+        const obstacles = this.audioEngine.obstacles;
+
+        const width = Math.abs(b.x - a.x);
+        const depth = Math.abs(b.z - a.z);
+        let id = null;
+
+        if (this.drawTool === 'wall' && Math.sqrt(width * width + depth * depth) >= 0.25) {
+            id = obstacles.addWall(a, b, this.obstacleMaterial);
+        } else if (this.drawTool === 'box' && width >= 0.25 && depth >= 0.25) {
+            id = obstacles.addBox(a, b, this.obstacleMaterial);
+        }
+
+        if (id !== null) {
+            this.audioEngine.updateAllOcclusion();
+            this.selectObstacle(id);
+        }
+    }
+
+    /**
+     * Select an obstacle by id (null clears the selection)
+     */
+    selectObstacle(id) {
+        this.selectedObstacleId = id;
+        if (this.onObstacleSelect) {
+            this.onObstacleSelect(id === null ? null : this.audioEngine.obstacles.getObstacle(id));
+        }
+    }
+
+    /**
+     * Find the topmost obstacle under a screen point
+     * Walls within 6px, boxes anywhere inside
+     */
+    hitTestObstacle(mouseX, mouseY) {
+        const obstacles = this.audioEngine.obstacles.obstacles;
+
+        for (let i = obstacles.length - 1; i >= 0; i--) {
+            const obstacle = obstacles[i];
+            const a = this.worldToScreen({ x: obstacle.a.x, z: obstacle.a.z });
+            const b = this.worldToScreen({ x: obstacle.b.x, z: obstacle.b.z });
+
+            if (obstacle.type === 'box') {
+                const inX = mouseX >= Math.min(a.x, b.x) && mouseX <= Math.max(a.x, b.x);
+                const inY = mouseY >= Math.min(a.y, b.y) && mouseY <= Math.max(a.y, b.y);
+                if (inX && inY) return obstacle;
+                continue;
+            }
+
+            // Distance from the point to the wall segment
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq > 0
+                ? Math.max(0, Math.min(1, ((mouseX - a.x) * dx + (mouseY - a.y) * dy) / lengthSq))
+                : 0;
+            const px = a.x + t * dx - mouseX;
+            const py = a.y + t * dy - mouseY;
+            if (Math.sqrt(px * px + py * py) < 6) return obstacle;
+        }
+        return null;
+    }
+
+    /**
+     * Find the editable source under a screen point (within 30px)
+     */
+    hitTestSource(mouseX, mouseY) {
+        if (this.projection === 'perspective') {
+            return this.hitTestBillboard(mouseX, mouseY);
+        }
+
+        for (const source of this.sources) {
+            // Skip locked sources - can't drag them
+            if (source.locked) continue;
+
+            const screen = this.worldToScreen(source.position);
+            const dx = mouseX - screen.x;
+            const dy = mouseY - screen.y;
+
+            // Check if click is within source circle (with some padding)
+            if (Math.sqrt(dx * dx + dy * dy) < 30) {
+                return source;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the nearest unlocked billboard under a screen point (first person)
+     */
+    hitTestBillboard(mouseX, mouseY) {
+        let hit = null;
+        let hitDepth = Infinity;
+        for (const source of this.sources) {
+            if (source.locked) continue;
+
+            const projected = this.projectPerspective(source.position);
+            if (!projected || projected.depth >= hitDepth) continue;
+
+            const reach = Math.max(30, this.getBillboardRadius(projected.depth));
+            if (Math.hypot(mouseX - projected.x, mouseY - projected.y) < reach) {
+                hit = source;
+                hitDepth = projected.depth;
+            }
+        }
+        return hit;
+    }
+
+    /**
+     * Find the keyframe under a screen point (within 7px)
+     * Returns { source, index } or null
+     */
+    hitTestKeyframe(mouseX, mouseY) {
+        for (const source of this.sources) {
+            if (source.locked || source.anchor === 'head') continue;
 
-                const dx = mouseX - screenX;
-                const dy = mouseY - screenY;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+            const keyframes = source.path.keyframes;
+            for (let index = keyframes.length - 1; index >= 0; index--) {
+                const screen = this.worldToScreen(keyframes[index].position);
+                const dx = mouseX - screen.x;
+                const dy = mouseY - screen.y;
 
-                if (distance < 30) {
-                    hovering = true;
-                    break;
+                if (Math.sqrt(dx * dx + dy * dy) < 7) {
+                    return { source, index };
                 }
             }
-            this.canvas.style.cursor = hovering ? 'grab' : 'default';
         }
+        return null;
     }
 
-    onMouseUp(e) {
-        this.isDragging = false;
-        this.draggedSource = null;
-        this.canvas.style.cursor = 'default';
+    /**
+     * Screen-space outline of a group: the convex hull of its members,
+     * padded so it clears the source circles (empty array for no members)
+     */
+    getGroupHull(groupId) {
+        const points = [];
+        const corners = 12;
+
+        this.audioEngine.getGroupMembers(groupId).forEach(source => {
+            const screen = this.worldToScreen(source.position);
+            for (let i = 0; i < corners; i++) {
+                const angle = (i / corners) * Math.PI * 2;
+                points.push({
+                    x: screen.x + Math.cos(angle) * this.groupPadding,
+                    y: screen.y + Math.sin(angle) * this.groupPadding
+                });
+            }
+        });
+
+        return this.convexHull(points);
+    }
+
+    /**
+     * Convex hull of screen points (monotone chain)
+     */
+    convexHull(points) {
+        if (points.length < 3) return points;
+
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+        const lower = [];
+        sorted.forEach(point => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        });
+
+        const upper = [];
+        sorted.slice().reverse().forEach(point => {
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        });
+
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    /**
+     * Find the topmost group whose outline contains a screen point
+     * Groups whose members are all locked can't be grabbed
+     */
+    hitTestGroup(mouseX, mouseY) {
+        const groups = this.audioEngine.groups.groups;
+
+        for (let i = groups.length - 1; i >= 0; i--) {
+            const group = groups[i];
+            const members = this.audioEngine.getGroupMembers(group.id);
+            if (!members.some(source => !source.locked)) continue;
+
+            const hull = this.getGroupHull(group.id);
+            if (hull.length < 3) continue;
+
+            // Inside a convex polygon: same side of every edge
+            const inside = hull.every((point, j) => {
+                const next = hull[(j + 1) % hull.length];
+                return (next.x - point.x) * (mouseY - point.y) - (next.y - point.y) * (mouseX - point.x) >= 0;
+            });
+            if (inside) return group;
+        }
+        return null;
+    }
+
+    /**
+     * Find the editable source whose cone rotate handle is under a screen point
+     */
+    hitTestConeHandle(mouseX, mouseY) {
+        for (const source of this.sources) {
+            if (source.locked || !this.isDirectional(source)) continue;
+
+            const handle = this.getConeHandlePosition(source);
+            const dx = mouseX - handle.x;
+            const dy = mouseY - handle.y;
+
+            if (Math.sqrt(dx * dx + dy * dy) < 10) {
+                return source;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Screen position of a source's cone rotate handle
+     */
+    getConeHandlePosition(source) {
+        const screen = this.worldToScreen(source.position);
+        const angle = (source.cone.yaw - 90) * Math.PI / 180;
+        return {
+            x: screen.x + Math.cos(angle) * this.coneHandleDistance,
+            y: screen.y + Math.sin(angle) * this.coneHandleDistance
+        };
+    }
+
+    /**
+     * Check if a source has a sound cone (not omnidirectional)
+     */
+    isDirectional(source) {
+        return source.cone.innerAngle < 360;
+    }
+
+    /**
+     * Convert a world position to screen coordinates in the active projection
+     * (top-down x/z, side x/y or front z/y), around the camera's view center
+     */
+    worldToScreen(position) {
+        // Points behind the first-person eye land far off screen
+        if (this.projection === 'perspective') {
+            return this.projectPerspective(position) || { x: -1e5, y: -1e5 };
+        }
+
+        const origin = this.getViewCenter();
+        if (this.projection === 'side') {
+            return {
+                x: this.centerX + (position.x - origin.x) * this.scale,
+                y: this.centerY - (position.y - origin.y) * this.scale
+            };
+        }
+        if (this.projection === 'front') {
+            return {
+                x: this.centerX + (position.z - origin.z) * this.scale,
+                y: this.centerY - (position.y - origin.y) * this.scale
+            };
+        }
+        return {
+            x: this.centerX + (position.x - origin.x) * this.scale,
+            y: this.centerY - (position.z - origin.z) * this.scale
+        };
+    }
+
+    /**
+     * Convert screen coordinates to a world x/z position (top-down)
+     */
+    screenToWorld(screenX, screenY) {
+        // First person: where the ray through the pixel meets the floor (or null)
+        if (this.projection === 'perspective') {
+            return this.floorPoint(screenX, screenY);
+        }
+
+        const origin = this.getViewCenter();
+        const across = (screenX - this.centerX) / this.scale;
+        const up = -(screenY - this.centerY) / this.scale;
+
+        if (this.projection === 'side') return { x: across + origin.x, y: up + origin.y };
+        if (this.projection === 'front') return { z: across + origin.z, y: up + origin.y };
+        return { x: across + origin.x, z: up + origin.z };
     }
 
     /**
      * Toggle between top-down and first-person view
      */
     toggleViewMode() {
-        this.viewMode = this.viewMode === 'topdown' ? 'firstperson' : 'topdown';
+        this.setViewMode(this.viewMode === 'topdown' ? 'firstperson' : 'topdown');
         return this.viewMode;
     }
 
@@ -163,6 +1087,8 @@ class Visualization {
      */
     setViewMode(mode) {
         this.viewMode = mode;
+        this.pointerViewport = null;
+        this.applyViewport(this.getViewports()[0]);
     }
 
     /**
@@ -170,6 +1096,14 @@ class Visualization {
      */
     toggleCompositionMode() {
         this.compositionMode = !this.compositionMode;
+
+        // Authoring is a sonar station: the camera follows the listener
+        if (this.compositionMode) {
+            this.setCameraMode('free');
+            this.cameraCenter = { x: 0, y: 0, z: 0 };
+        } else {
+            this.setCameraMode('follow');
+        }
         return this.compositionMode;
     }
 
@@ -181,33 +1115,146 @@ class Visualization {
     }
 
     resize() {
-        this.width = this.canvas.clientWidth;
-        this.height = this.canvas.clientHeight;
-        this.canvas.width = this.width;
-        this.canvas.height = this.height;
-        this.centerX = this.width / 2;
-        this.centerY = this.height / 2;
+        this.canvasWidth = this.canvas.clientWidth;
+        this.canvasHeight = this.canvas.clientHeight;
+        this.canvas.width = this.canvasWidth;
+        this.canvas.height = this.canvasHeight;
+        this.pointerViewport = null;
+        this.applyViewport(this.getViewports()[0]);
+    }
+
+    /**
+     * Choose the layout: 'top', 'side', 'front' or 'split'
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        this.pointerViewport = null;
+        this.applyViewport(this.getViewports()[0]);
+    }
+
+    /**
+     * Viewports for the current layout (canvas pixels)
+     * Split: map on the left, side over front on the right
+     */
+    getViewports() {
+        const width = this.canvasWidth;
+        const height = this.canvasHeight;
+
+        // First person takes the whole canvas
+        if (this.viewMode === 'firstperson') {
+            return [{ projection: 'perspective', x: 0, y: 0, width, height }];
+        }
+
+        if (this.layout !== 'split') {
+            return [{ projection: this.layout, x: 0, y: 0, width, height }];
+        }
+
+        const splitX = Math.round(width * this.splitRatio);
+        const splitY = Math.round(height / 2);
+        return [
+            { projection: 'top', x: 0, y: 0, width: splitX, height },
+            { projection: 'side', x: splitX, y: 0, width: width - splitX, height: splitY },
+            { projection: 'front', x: splitX, y: splitY, width: width - splitX, height: height - splitY }
+        ];
+    }
+
+    getViewportAt(x, y) {
+        const viewports = this.getViewports();
+        return viewports.find(viewport =>
+            x >= viewport.x && x < viewport.x + viewport.width &&
+            y >= viewport.y && y < viewport.y + viewport.height
+        ) || viewports[0];
+    }
+
+    /**
+     * Make a viewport the one drawing and hit tests work in
+     * Elevation views put y = 0 below the middle, leaving room overhead
+     */
+    applyViewport(viewport) {
+        this.viewport = viewport;
+        this.projection = viewport.projection;
+        this.width = viewport.width;
+        this.height = viewport.height;
+        this.centerX = viewport.width / 2;
+        this.centerY = viewport.projection === 'side' || viewport.projection === 'front'
+            ? viewport.height * 0.65
+            : viewport.height / 2;
     }
 
     /**
      * Main render function
      */
-    render(player, sources, playerFacing) {
+    render(player, sources, playerFacing, playerPitch = 0) {
         // Store state for hit detection
         this.playerPos = player;
         this.sources = sources;
+        this.updateFraming();
 
         // Clear with dark background (like online player)
         this.ctx.fillStyle = '#0a0a0a';
-        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
+
+        // Each viewport draws in its own clipped, translated space
+        const viewports = this.getViewports();
+        viewports.forEach(viewport => {
+            this.ctx.save();
+            this.ctx.translate(viewport.x, viewport.y);
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, viewport.width, viewport.height);
+            this.ctx.clip();
+
+            this.applyViewport(viewport);
+            if (viewport.projection === 'perspective') {
+                this.renderPerspective(player, sources, playerFacing, playerPitch);
+            } else if (viewport.projection === 'top') {
+                this.renderTopDown(player, sources, playerFacing);
+            } else {
+                this.renderElevation(player, sources);
+            }
+
+            // Selection box and drag readout in the viewport they belong to
+            const active = this.pointerViewport && this.pointerViewport.projection === viewport.projection;
+            if (active && this.selectionBox) {
+                this.drawSelectionBox();
+            }
+            if (active && this.dragReadout) {
+                this.drawDragReadout(player);
+            }
+
+            this.ctx.restore();
+        });
+
+        // Dividers between split viewports
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        this.ctx.lineWidth = 1;
+        viewports.slice(1).forEach(viewport => {
+            this.ctx.strokeRect(viewport.x + 0.5, viewport.y + 0.5, viewport.width, viewport.height);
+        });
+
+        // Hit detection between frames uses the viewport under the mouse
+        this.applyViewport(this.pointerViewport || viewports[0]);
+    }
 
+    /**
+     * Top-down map: x/z plane, north up
+     */
+    renderTopDown(player, sources, playerFacing) {
         // Draw grid
         this.drawGrid();
 
+        // Draw walls and boxes
+        this.drawObstacles();
+
+        // Draw group outlines
+        this.drawGroups();
+
+        // Draw motion paths under the sources
+        this.drawPaths(sources);
+
         // Draw angle lines from listener to sources
         this.drawAngleLines(sources, player);
 
-        // Draw sources (with FOV culling)
+        // Draw sources
         sources.forEach(source => {
             this.drawSource(source, player, playerFacing);
         });
@@ -221,113 +1268,255 @@ class Visualization {
 
     /**
      * Draw angle lines from listener to each source
+     * Occluded sources get a red, tighter dashed line
      */
     drawAngleLines(sources, player) {
+        const listener = this.worldToScreen(player);
+
         sources.forEach(source => {
-            const screenX = this.centerX + (source.position.x - player.x) * this.scale;
-            const screenY = this.centerY - (source.position.z - player.z) * this.scale;
+            const screen = this.worldToScreen(source.position);
+            const occluded = this.audioEngine.obstacles.getOcclusion(player, source.position).crossings > 0;
 
-            // Draw line from center to source
-            this.ctx.strokeStyle = 'rgba(0, 255, 136, 0.2)';
+            // Draw line from listener to source
+            this.ctx.strokeStyle = occluded ? 'rgba(255, 68, 68, 0.5)' : 'rgba(0, 255, 136, 0.2)';
             this.ctx.lineWidth = 1;
-            this.ctx.setLineDash([5, 5]);
+            this.ctx.setLineDash(occluded ? [2, 4] : [5, 5]);
             this.ctx.beginPath();
-            this.ctx.moveTo(this.centerX, this.centerY);
-            this.ctx.lineTo(screenX, screenY);
+            this.ctx.moveTo(listener.x, listener.y);
+            this.ctx.lineTo(screen.x, screen.y);
             this.ctx.stroke();
             this.ctx.setLineDash([]);
         });
     }
 
     /**
-     * Draw background grid
+     * Draw each group's outline in its color with its name on top
      */
-    drawGrid() {
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
-        this.ctx.lineWidth = 1;
+    drawGroups() {
+        this.audioEngine.groups.groups.forEach(group => {
+            const hull = this.getGroupHull(group.id);
+            if (hull.length < 3) return;
 
-        // Vertical lines
-        for (let x = this.centerX % (this.scale * 5); x < this.width; x += this.scale * 5) {
             this.ctx.beginPath();
-            this.ctx.moveTo(x, 0);
-            this.ctx.lineTo(x, this.height);
+            hull.forEach((point, i) => {
+                if (i === 0) {
+                    this.ctx.moveTo(point.x, point.y);
+                } else {
+                    this.ctx.lineTo(point.x, point.y);
+                }
+            });
+            this.ctx.closePath();
+
+            this.ctx.globalAlpha = 0.08;
+            this.ctx.fillStyle = group.color;
+            this.ctx.fill();
+            this.ctx.globalAlpha = 0.7;
+            this.ctx.strokeStyle = group.color;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.setLineDash([8, 4]);
             this.ctx.stroke();
-        }
+            this.ctx.setLineDash([]);
+            this.ctx.globalAlpha = 1;
+
+            // Name above the topmost point
+            const top = hull.reduce((highest, point) => point.y < highest.y ? point : highest);
+            this.ctx.fillStyle = group.color;
+            this.ctx.font = 'bold 11px monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(group.name, top.x, top.y - 6);
+        });
+    }
 
-        // Horizontal lines
-        for (let y = this.centerY % (this.scale * 5); y < this.height; y += this.scale * 5) {
+    /**
+     * Draw each source's motion path with its keyframes and their times
+     * Head-locked sources don't follow their paths, so theirs are dimmed
+     */
+    drawPaths(sources) {
+        sources.forEach(source => {
+            const keyframes = source.path.keyframes;
+            if (keyframes.length === 0) return;
+
+            this.ctx.globalAlpha = source.anchor === 'head' ? 0.3 : 1;
+
+            // Curve
+            const points = source.path.sample().map(point => this.worldToScreen(point));
+            this.ctx.strokeStyle = 'rgba(255, 170, 0, 0.5)';
+            this.ctx.lineWidth = 2;
             this.ctx.beginPath();
-            this.ctx.moveTo(0, y);
-            this.ctx.lineTo(this.width, y);
+            points.forEach((point, i) => {
+                if (i === 0) {
+                    this.ctx.moveTo(point.x, point.y);
+                } else {
+                    this.ctx.lineTo(point.x, point.y);
+                }
+            });
             this.ctx.stroke();
+
+            // Keyframe diamonds with their times
+            this.ctx.font = '10px monospace';
+            this.ctx.textAlign = 'left';
+            keyframes.forEach(keyframe => {
+                const screen = this.worldToScreen(keyframe.position);
+                const size = 5;
+
+                this.ctx.fillStyle = '#0a0a0a';
+                this.ctx.strokeStyle = '#ffaa00';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(screen.x, screen.y - size);
+                this.ctx.lineTo(screen.x + size, screen.y);
+                this.ctx.lineTo(screen.x, screen.y + size);
+                this.ctx.lineTo(screen.x - size, screen.y);
+                this.ctx.closePath();
+                this.ctx.fill();
+                this.ctx.stroke();
+
+                this.ctx.fillStyle = 'rgba(255, 170, 0, 0.8)';
+                this.ctx.fillText(`${keyframe.time.toFixed(1)}s`, screen.x + 8, screen.y - 6);
+            });
+
+            this.ctx.globalAlpha = 1;
+        });
+    }
+
+    /**
+     * Draw walls and boxes in their material colors, the selected one
+     * outlined, plus the shape being drawn
+     */
+    drawObstacles() {
+        const materials = SceneObstacles.MATERIALS;
+
+        const drawShape = (type, a, b, color, selected) => {
+            const p1 = this.worldToScreen({ x: a.x, z: a.z });
+            const p2 = this.worldToScreen({ x: b.x, z: b.z });
+
+            if (type === 'wall') {
+                if (selected) {
+                    this.ctx.strokeStyle = '#ffffff';
+                    this.ctx.lineWidth = 8;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(p1.x, p1.y);
+                    this.ctx.lineTo(p2.x, p2.y);
+                    this.ctx.stroke();
+                }
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 4;
+                this.ctx.lineCap = 'round';
+                this.ctx.beginPath();
+                this.ctx.moveTo(p1.x, p1.y);
+                this.ctx.lineTo(p2.x, p2.y);
+                this.ctx.stroke();
+                this.ctx.lineCap = 'butt';
+            } else {
+                const x = Math.min(p1.x, p2.x);
+                const y = Math.min(p1.y, p2.y);
+                const width = Math.abs(p2.x - p1.x);
+                const height = Math.abs(p2.y - p1.y);
+
+                this.ctx.globalAlpha = 0.25;
+                this.ctx.fillStyle = color;
+                this.ctx.fillRect(x, y, width, height);
+                this.ctx.globalAlpha = 1;
+                this.ctx.strokeStyle = selected ? '#ffffff' : color;
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(x, y, width, height);
+            }
+        };
+
+        this.audioEngine.obstacles.obstacles.forEach(obstacle => {
+            const color = materials[obstacle.material].color;
+            drawShape(obstacle.type, obstacle.a, obstacle.b, color, obstacle.id === this.selectedObstacleId);
+        });
+
+        // Shape in progress
+        if (this.drawStart) {
+            this.ctx.setLineDash([6, 4]);
+            drawShape(this.drawTool, this.drawStart, this.drawCurrent, materials[this.obstacleMaterial].color, false);
+            this.ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Draw background grid
+     */
+    drawGrid() {
+        // Finer snap steps get faint lines of their own
+        if (this.snapMode === 'grid' && this.gridSnapStep < this.gridSize) {
+            this.drawGridLines(this.gridSnapStep, 'rgba(255, 255, 255, 0.025)');
         }
+        this.drawGridLines(this.gridSize, 'rgba(255, 255, 255, 0.05)');
 
-        // Center axes (brighter)
+        // Axes through the grid origin (brighter)
+        const origin = this.worldToScreen(this.getGridOrigin());
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
         this.ctx.lineWidth = 2;
 
         // X axis
         this.ctx.beginPath();
-        this.ctx.moveTo(0, this.centerY);
-        this.ctx.lineTo(this.width, this.centerY);
+        this.ctx.moveTo(0, origin.y);
+        this.ctx.lineTo(this.width, origin.y);
         this.ctx.stroke();
 
         // Z axis
         this.ctx.beginPath();
-        this.ctx.moveTo(this.centerX, 0);
-        this.ctx.lineTo(this.centerX, this.height);
+        this.ctx.moveTo(origin.x, 0);
+        this.ctx.lineTo(origin.x, this.height);
         this.ctx.stroke();
     }
 
+    /**
+     * Grid lines every `step` world units, through the grid origin
+     * (skipped when zoomed out so far they'd blur together)
+     */
+    drawGridLines(step, color) {
+        const spacing = this.scale * step;
+        if (spacing < 4) return;
+
+        const origin = this.worldToScreen(this.getGridOrigin());
+        const offsetX = ((origin.x % spacing) + spacing) % spacing;
+        const offsetY = ((origin.y % spacing) + spacing) % spacing;
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+
+        // Vertical lines
+        for (let x = offsetX; x < this.width; x += spacing) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.height);
+            this.ctx.stroke();
+        }
+
+        // Horizontal lines
+        for (let y = offsetY; y < this.height; y += spacing) {
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(this.width, y);
+            this.ctx.stroke();
+        }
+    }
+
     /**
      * Draw a source (audio track)
      */
     drawSource(source, playerPos, playerFacing) {
         // Calculate screen position based on GLOBAL mode (not per-source lock)
-        let screenX, screenY, relativeX, relativeZ;
+        // Composition: sources fixed in world space, player walks through
+        // Authoring: player at center (sonar), sources orbit you
+        const screen = this.worldToScreen(source.position);
+        const screenX = screen.x;
+        const screenY = screen.y;
 
-        if (this.compositionMode) {
-            // COMPOSITION MODE: Sources fixed in world space, player walks through
-            // Show source at its absolute world position
-            screenX = this.centerX + source.position.x * this.scale;
-            screenY = this.centerY - source.position.z * this.scale;
-
-            // Calculate distance from player's actual position in world
-            relativeX = source.position.x - playerPos.x;
-            relativeZ = source.position.z - playerPos.z;
-        } else {
-            // AUTHORING MODE: Player at center (sonar), sources orbit you
-            relativeX = source.position.x - playerPos.x;
-            relativeZ = source.position.z - playerPos.z;
-
-            screenX = this.centerX + relativeX * this.scale;
-            screenY = this.centerY - relativeZ * this.scale;
-        }
+        // Distance from player's actual position in world
+        const relativeX = source.position.x - playerPos.x;
+        const relativeZ = source.position.z - playerPos.z;
 
         // Calculate distance
         const distance = Math.sqrt(relativeX * relativeX + relativeZ * relativeZ);
         if (distance < 0.001) return; // Skip sources at listener position
 
-        // FOV culling - only in first-person mode and when NOT locked
-        if (this.viewMode === 'firstperson' && !this.positionsLocked) {
-            // Calculate azimuth (angle from forward direction)
-            let azimuth = Math.atan2(relativeX, relativeZ) * (180 / Math.PI);
-
-            // Apply player rotation to get view-relative angle
-            azimuth -= playerFacing;
-
-            // Normalize to -180 to 180 range
-            while (azimuth > 180) azimuth -= 360;
-            while (azimuth < -180) azimuth += 360;
-
-            // FOV culling: Only show sources in front hemisphere (±90°)
-            if (Math.abs(azimuth) > 90) {
-                return; // Source is behind viewer
-            }
-        }
-
-        // Don't draw if off screen
-        if (screenX < -50 || screenX > this.width + 50 || screenY < -50 || screenY > this.height + 50) {
+        // Off screen: an arrow at the edge points the way instead
+        if (screenX < 0 || screenX > this.width || screenY < 0 || screenY > this.height) {
+            this.drawOffscreenIndicator(source, screenX, screenY, distance);
             return;
         }
 
@@ -343,14 +1532,25 @@ class Visualization {
         // Check if this source is being dragged
         const isBeingDragged = this.isDragging && this.draggedSource && this.draggedSource.id === source.id;
 
+        // Per-channel emitters of a wide source
+        if (this.audioEngine.getEmitterCount(source) > 1) {
+            this.drawEmitters(source);
+        }
+
+        // Trail of where its behaviors had it a moment ago
+        if (!source.held && MotionBehaviors.isActive(source.behaviors) && this.audioEngine.isSourceMoving(source)) {
+            this.drawGhostTrail(source, playerPos, radius);
+        }
+
         // Pulsing animation (faster when dragging, slower when locked)
         const pulseSpeed = isBeingDragged ? 300 : (source.locked ? 2000 : 1000);
         const pulsePhase = (Date.now() / pulseSpeed) % 1;
         const pulseAmount = isBeingDragged ? 0.3 : (source.locked ? 0.05 : 0.15);
         const pulse = 1 + Math.sin(pulsePhase * Math.PI * 2) * pulseAmount;
 
-        // Color logic: dragging > locked > unlocked
+        // Color logic: dragging > head-locked > locked > unlocked
         const colorIntensity = Math.max(0.3, distanceFactor);
+        const headLocked = source.anchor === 'head';
         let mainColor, glowColor0, glowColor1;
 
         if (isBeingDragged) {
@@ -358,6 +1558,11 @@ class Visualization {
             mainColor = '#ffaa00';
             glowColor0 = 'rgba(255, 170, 0, 0.6)';
             glowColor1 = 'rgba(255, 170, 0, 0.2)';
+        } else if (headLocked) {
+            // Violet when head-locked (moves with the listener)
+            mainColor = '#b388ff';
+            glowColor0 = 'rgba(179, 136, 255, 0.4)';
+            glowColor1 = 'rgba(179, 136, 255, 0.1)';
         } else if (source.locked) {
             // Blue/cyan when locked (fixed in world space)
             const blue = Math.round(colorIntensity * 200);
@@ -374,6 +1579,11 @@ class Visualization {
             glowColor1 = `rgba(0, ${green}, ${blue}, ${0.1 * colorIntensity})`;
         }
 
+        // Sound cone (under the source circle)
+        if (this.isDirectional(source)) {
+            this.drawCone(source, screenX, screenY, mainColor);
+        }
+
         // Glow
         const gradient = this.ctx.createRadialGradient(screenX, screenY, 0, screenX, screenY, radius * pulse * 2);
         gradient.addColorStop(0, glowColor0);
@@ -398,6 +1608,26 @@ class Visualization {
             this.ctx.stroke();
         }
 
+        // Selection ring
+        if (this.isSelected(source) && !source.locked) {
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, radius * pulse + (headLocked ? 11 : 6), 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+
+        // Dashed ring marks head-locked sources
+        if (headLocked) {
+            this.ctx.strokeStyle = '#b388ff';
+            this.ctx.lineWidth = 1.5;
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.beginPath();
+            this.ctx.arc(screenX, screenY, radius * pulse + 6, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
         // Inner circle
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
         this.ctx.beginPath();
@@ -414,6 +1644,625 @@ class Visualization {
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
         this.ctx.font = '10px monospace';
         this.ctx.fillText(`${distance.toFixed(1)}m`, screenX, screenY + radius * pulse + 35);
+
+        // Height above (or below) y = 0, which the map can't show
+        const height = source.position.y;
+        if (Math.abs(height) >= 0.05) {
+            this.ctx.fillStyle = height > 0 ? '#80d8ff' : '#ffab91';
+            this.ctx.fillText(`${height > 0 ? '▲' : '▼'} ${Math.abs(height).toFixed(1)}m`, screenX, screenY - radius * pulse - 10);
+        }
+    }
+
+    /**
+     * First-person view from the listener's head: sky and ground split at
+     * the horizon, floor grid, movement bubble, obstacle footprints and
+     * sources as billboards sized by distance
+     */
+    renderPerspective(player, sources, facing, pitch) {
+        const ctx = this.ctx;
+        const focal = (this.width / 2) / Math.tan(this.fieldOfView * (Math.PI / 360));
+        this.perspective = {
+            eye: { ...player },
+            yaw: facing * (Math.PI / 180),
+            pitch: pitch * (Math.PI / 180),
+            focal
+        };
+
+        // Horizon: where level directions land for this pitch
+        const horizonY = this.centerY + Math.tan(this.perspective.pitch) * focal;
+        const sky = ctx.createLinearGradient(0, horizonY - this.height, 0, horizonY);
+        sky.addColorStop(0, '#05070d');
+        sky.addColorStop(1, '#16213a');
+        ctx.fillStyle = sky;
+        ctx.fillRect(0, 0, this.width, Math.max(0, horizonY));
+        ctx.fillStyle = '#0d0d0a';
+        ctx.fillRect(0, Math.max(0, horizonY), this.width, this.height);
+
+        // Floor grid around the listener, on world grid lines
+        const step = this.gridSize;
+        const extent = this.floorExtent;
+        const y = this.floorLevel;
+        const startX = Math.floor((player.x - extent) / step) * step;
+        const startZ = Math.floor((player.z - extent) / step) * step;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i <= (2 * extent) / step; i++) {
+            this.tracePerspectiveLine({ x: startX + i * step, y, z: startZ }, { x: startX + i * step, y, z: startZ + 2 * extent });
+            this.tracePerspectiveLine({ x: startX, y, z: startZ + i * step }, { x: startX + 2 * extent, y, z: startZ + i * step });
+        }
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+        ctx.beginPath();
+        ctx.moveTo(0, horizonY);
+        ctx.lineTo(this.width, horizonY);
+        ctx.stroke();
+
+        // Movement bubble where it meets the floor
+        if (this.movementRadius) {
+            const radius = Math.sqrt(Math.max(0, this.movementRadius ** 2 - y * y));
+            ctx.strokeStyle = 'rgba(200, 90, 142, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            for (let i = 0; i < 96; i++) {
+                const a = (i / 96) * Math.PI * 2;
+                const b = ((i + 1) / 96) * Math.PI * 2;
+                this.tracePerspectiveLine(
+                    { x: Math.sin(a) * radius, y, z: Math.cos(a) * radius },
+                    { x: Math.sin(b) * radius, y, z: Math.cos(b) * radius }
+                );
+            }
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Walls and boxes as footprints on the floor
+        ctx.strokeStyle = 'rgba(255, 120, 80, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        this.audioEngine.obstacles.obstacles.forEach(obstacle => {
+            const { a, b } = obstacle;
+            const corners = obstacle.type === 'box'
+                ? [{ x: a.x, z: a.z }, { x: b.x, z: a.z }, { x: b.x, z: b.z }, { x: a.x, z: b.z }, { x: a.x, z: a.z }]
+                : [{ x: a.x, z: a.z }, { x: b.x, z: b.z }];
+            for (let i = 0; i < corners.length - 1; i++) {
+                this.tracePerspectiveLine({ ...corners[i], y }, { ...corners[i + 1], y });
+            }
+        });
+        ctx.stroke();
+
+        // Sources far to near, so nearer billboards cover farther ones
+        sources
+            .map(source => ({ source, projected: this.projectPerspective(source.position) }))
+            .filter(({ projected }) => projected)
+            .sort((a, b) => b.projected.depth - a.projected.depth)
+            .forEach(({ source, projected }) => this.drawBillboard(source, projected));
+
+        // Crosshair
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.centerX - 8, this.centerY);
+        ctx.lineTo(this.centerX + 8, this.centerY);
+        ctx.moveTo(this.centerX, this.centerY - 8);
+        ctx.lineTo(this.centerX, this.centerY + 8);
+        ctx.stroke();
+
+        this.drawCompass(facing);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillText(`FIRST PERSON  ${Math.round(this.fieldOfView)}° FOV  pitch ${pitch.toFixed(0)}°`, this.width - 10, 18);
+    }
+
+    /**
+     * Source as a billboard: glow and disc sized by distance, a stem down
+     * to the floor, name and distance labels
+     */
+    drawBillboard(source, projected) {
+        const ctx = this.ctx;
+        const { x, y, depth } = projected;
+        const radius = this.getBillboardRadius(depth);
+        const isBeingDragged = this.isDragging && this.draggedSources.some(s => s.id === source.id);
+        const color = isBeingDragged ? '#ffaa00' : this.getMarkerColor(source);
+
+        // Stem to the floor
+        const floor = this.projectPerspective({ ...source.position, y: this.floorLevel });
+        if (floor) {
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.35;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(floor.x, floor.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.ellipse(floor.x, floor.y, radius * 0.8, radius * 0.25, 0, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        }
+
+        const glow = ctx.createRadialGradient(x, y, 0, x, y, radius * 2);
+        glow.addColorStop(0, color);
+        glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = 0.35;
+        ctx.fillStyle = glow;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * 2, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (this.isSelected(source) && !source.locked) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(x, y, radius + 5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.truncateName(source.name), x, y - radius - 8);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px monospace';
+        ctx.fillText(`${depth.toFixed(1)}m`, x, y + radius + 14);
+    }
+
+    /**
+     * Billboard radius in pixels: half a metre across, within 4-60px
+     */
+    getBillboardRadius(depth) {
+        return Math.max(4, Math.min(60, 0.5 * this.perspective.focal / depth));
+    }
+
+    /**
+     * World point in first-person camera space: x right, y up, z ahead
+     */
+    toCamera(point) {
+        const { eye, yaw, pitch } = this.perspective;
+        const dx = point.x - eye.x;
+        const dy = point.y - eye.y;
+        const dz = point.z - eye.z;
+        const right = dx * Math.cos(yaw) - dz * Math.sin(yaw);
+        const ahead = dx * Math.sin(yaw) + dz * Math.cos(yaw);
+
+        return {
+            x: right,
+            y: dy * Math.cos(pitch) - ahead * Math.sin(pitch),
+            z: ahead * Math.cos(pitch) + dy * Math.sin(pitch)
+        };
+    }
+
+    /**
+     * Screen position and depth of a world point in first person
+     * (null behind the near plane)
+     */
+    projectPerspective(point) {
+        if (!this.perspective) return null;
+
+        const camera = this.toCamera(point);
+        if (camera.z < this.nearPlane) return null;
+
+        return {
+            x: this.centerX + (camera.x / camera.z) * this.perspective.focal,
+            y: this.centerY - (camera.y / camera.z) * this.perspective.focal,
+            depth: camera.z
+        };
+    }
+
+    /**
+     * Add a world-space line to the current path, clipped at the near plane
+     */
+    tracePerspectiveLine(a, b) {
+        let from = this.toCamera(a);
+        let to = this.toCamera(b);
+        const near = this.nearPlane;
+        if (from.z < near && to.z < near) return;
+
+        const clip = (p, q) => {
+            const t = (near - p.z) / (q.z - p.z);
+            return { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t, z: near };
+        };
+        if (from.z < near) from = clip(from, to);
+        if (to.z < near) to = clip(to, from);
+
+        const focal = this.perspective.focal;
+        this.ctx.moveTo(this.centerX + (from.x / from.z) * focal, this.centerY - (from.y / from.z) * focal);
+        this.ctx.lineTo(this.centerX + (to.x / to.z) * focal, this.centerY - (to.y / to.z) * focal);
+    }
+
+    /**
+     * World direction (unit vector) of the ray through a screen point
+     */
+    screenRay(screenX, screenY) {
+        const { yaw, pitch, focal } = this.perspective;
+        const right = (screenX - this.centerX) / focal;
+        const up = -(screenY - this.centerY) / focal;
+
+        // Undo the pitch, then the yaw
+        const ahead = Math.cos(pitch) - up * Math.sin(pitch);
+        const dy = Math.sin(pitch) + up * Math.cos(pitch);
+        const dx = right * Math.cos(yaw) + ahead * Math.sin(yaw);
+        const dz = -right * Math.sin(yaw) + ahead * Math.cos(yaw);
+
+        const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        return { x: dx / length, y: dy / length, z: dz / length };
+    }
+
+    /**
+     * Floor point under a screen point in first person (null above the horizon)
+     */
+    floorPoint(screenX, screenY) {
+        if (!this.perspective) return null;
+
+        const eye = this.perspective.eye;
+        const ray = this.screenRay(screenX, screenY);
+        if (ray.y > -1e-6) return null;
+
+        const t = (this.floorLevel - eye.y) / ray.y;
+        if (t <= 0) return null;
+        return { x: eye.x + ray.x * t, z: eye.z + ray.z * t };
+    }
+
+    /**
+     * Side (x/y) or front (z/y) elevation view: height against one
+     * horizontal axis, with the y = 0 line across the middle
+     */
+    renderElevation(player, sources) {
+        this.drawGrid();
+
+        // Farther sources first, so nearer ones draw on top
+        const depthAxis = this.projection === 'side' ? 'z' : 'x';
+        const depthSign = this.projection === 'side' ? 1 : -1;
+        [...sources]
+            .sort((a, b) => depthSign * (b.position[depthAxis] - a.position[depthAxis]))
+            .forEach(source => this.drawElevationSource(source));
+
+        this.drawElevationListener(player);
+
+        // View name and orientation (compass letters on the y = 0 line)
+        const [left, right] = this.projection === 'side' ? ['W', 'E'] : ['S', 'N'];
+        const floorY = this.worldToScreen(this.getGridOrigin()).y;
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        this.ctx.font = '11px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.projection === 'side' ? 'SIDE (X/Y) - looking north' : 'FRONT (Z/Y) - looking west', 10, 18);
+        this.ctx.fillText(left, 10, floorY - 6);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(right, this.width - 10, floorY - 6);
+    }
+
+    /**
+     * Flat marker color: head-locked violet, locked cyan, editable green
+     */
+    getMarkerColor(source) {
+        if (source.anchor === 'head') return '#b388ff';
+        if (source.locked) return '#00c8ff';
+        return '#00ff88';
+    }
+
+    /**
+     * Arrow on the map edge pointing toward an off-screen source,
+     * with its name and distance
+     */
+    drawOffscreenIndicator(source, screenX, screenY, distance) {
+        const ctx = this.ctx;
+        const margin = 24;
+        const middleX = this.width / 2;
+        const middleY = this.height / 2;
+        const dx = screenX - middleX;
+        const dy = screenY - middleY;
+
+        // Pull the point back along its direction onto the inset edge
+        const t = Math.min(
+            (middleX - margin) / Math.max(Math.abs(dx), 1e-6),
+            (middleY - margin) / Math.max(Math.abs(dy), 1e-6)
+        );
+        const x = middleX + dx * t;
+        const y = middleY + dy * t;
+        const angle = Math.atan2(dy, dx);
+
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        ctx.fillStyle = this.getMarkerColor(source);
+        ctx.beginPath();
+        ctx.moveTo(10, 0);
+        ctx.lineTo(-6, -7);
+        ctx.lineTo(-6, 7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+
+        // Label on the inside of the arrow
+        const labelX = x - Math.cos(angle) * 34;
+        const labelY = y - Math.sin(angle) * 22;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.truncateName(source.name, 12), labelX, labelY);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(`${distance.toFixed(1)}m`, labelX, labelY + 12);
+    }
+
+    /**
+     * Source in an elevation view: stem down to y = 0, circle, name and height
+     */
+    drawElevationSource(source) {
+        const screen = this.worldToScreen(source.position);
+        const ctx = this.ctx;
+        const isBeingDragged = this.isDragging && this.draggedSources.some(s => s.id === source.id);
+
+        const color = isBeingDragged ? '#ffaa00' : this.getMarkerColor(source);
+        const floorY = this.worldToScreen({ ...source.position, y: this.getGridOrigin().y }).y;
+
+        // Stem
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.5;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(screen.x, floorY);
+        ctx.lineTo(screen.x, screen.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, 9, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (this.isSelected(source) && !source.locked) {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(screen.x, screen.y, 14, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.truncateName(source.name, 14), screen.x, screen.y - 18);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.font = '10px monospace';
+        ctx.fillText(`y ${source.position.y.toFixed(1)}m`, screen.x, screen.y + 22);
+    }
+
+    /**
+     * Listener in an elevation view (head at its height)
+     */
+    drawElevationListener(player) {
+        const screen = this.worldToScreen(player);
+
+        this.ctx.fillStyle = '#c85a8e';
+        this.ctx.beginPath();
+        this.ctx.arc(screen.x, screen.y, 8, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = '10px monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('YOU', screen.x, screen.y + 20);
+    }
+
+    /**
+     * Coordinates, bearing and distance of the dragged point, with guides
+     * for the axis lock and polar snapping
+     * Elevation views show height and the elevation angle instead
+     */
+    drawDragReadout(player) {
+        const point = this.dragReadout;
+        const screen = this.worldToScreen(point);
+        const ctx = this.ctx;
+
+        if (this.projection === 'perspective') {
+            const dx = point.x - player.x;
+            const dy = point.y - player.y;
+            const dz = point.z - player.z;
+            const horizontal = Math.sqrt(dx * dx + dz * dz);
+            let bearing = Math.atan2(dx, dz) * (180 / Math.PI);
+            if (bearing < 0) bearing += 360;
+            this.drawReadoutBox(screen, [
+                `x ${point.x.toFixed(2)}  y ${point.y.toFixed(2)}  z ${point.z.toFixed(2)}`,
+                `${bearing.toFixed(1)}°  ${(Math.atan2(dy, horizontal) * (180 / Math.PI)).toFixed(1)}° up  ${Math.sqrt(horizontal * horizontal + dy * dy).toFixed(2)}m`
+            ]);
+            return;
+        }
+
+        if (this.projection !== 'top') {
+            const dx = point.x - player.x;
+            const dz = point.z - player.z;
+            const horizontal = Math.sqrt(dx * dx + dz * dz);
+            const elevation = Math.atan2(point.y - player.y, horizontal) * (180 / Math.PI);
+            this.drawReadoutBox(screen, [
+                `y ${point.y.toFixed(2)}m`,
+                `${elevation.toFixed(1)}° elevation`
+            ]);
+            return;
+        }
+
+        ctx.save();
+        ctx.setLineDash([4, 4]);
+        ctx.lineWidth = 1;
+
+        // Axis lock: line through the drag start along the locked axis
+        if (this.dragAxis) {
+            const start = this.worldToScreen(this.dragStart);
+            ctx.strokeStyle = this.dragAxis === 'x' ? 'rgba(255, 100, 100, 0.6)' : 'rgba(100, 160, 255, 0.6)';
+            ctx.beginPath();
+            if (this.dragAxis === 'x') {
+                ctx.moveTo(0, start.y);
+                ctx.lineTo(this.width, start.y);
+            } else {
+                ctx.moveTo(start.x, 0);
+                ctx.lineTo(start.x, this.height);
+            }
+            ctx.stroke();
+        }
+
+        const dx = point.x - player.x;
+        const dz = point.z - player.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        let bearing = Math.atan2(dx, dz) * (180 / Math.PI);
+        if (bearing < 0) bearing += 360;
+
+        // Polar snapping: ring and spoke from the listener
+        if (this.snapMode === 'polar') {
+            const listener = this.worldToScreen(player);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.beginPath();
+            ctx.arc(listener.x, listener.y, distance * this.scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(listener.x, listener.y);
+            ctx.lineTo(screen.x, screen.y);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        this.drawReadoutBox(screen, [
+            `x ${point.x.toFixed(2)}  z ${point.z.toFixed(2)}`,
+            `${bearing.toFixed(1)}°  ${distance.toFixed(2)}m`
+        ]);
+    }
+
+    /**
+     * Two-line label up and to the right of a screen point
+     */
+    drawReadoutBox(screen, lines) {
+        const ctx = this.ctx;
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 10;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(screen.x + 18, screen.y - 38, width, 32);
+        ctx.fillStyle = '#ffffff';
+        lines.forEach((line, i) => ctx.fillText(line, screen.x + 23, screen.y - 25 + i * 14));
+    }
+
+    /**
+     * Dashed rubber band for box selection
+     */
+    drawSelectionBox() {
+        const { start, current } = this.selectionBox;
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+        this.ctx.fillRect(start.x, start.y, current.x - start.x, current.y - start.y);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.strokeRect(start.x, start.y, current.x - start.x, current.y - start.y);
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * Line through a wide source's emitters with a labeled dot per channel
+     * (L/R for stereo, channel numbers otherwise)
+     */
+    drawEmitters(source) {
+        const points = this.audioEngine.getEmitterPositions(source, source.position)
+            .map(position => this.worldToScreen(position));
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        this.ctx.strokeStyle = 'rgba(0, 255, 136, 0.35)';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(first.x, first.y);
+        this.ctx.lineTo(last.x, last.y);
+        this.ctx.stroke();
+
+        this.ctx.font = '9px monospace';
+        this.ctx.textAlign = 'center';
+        points.forEach((point, channel) => {
+            this.ctx.fillStyle = 'rgba(0, 255, 136, 0.6)';
+            this.ctx.beginPath();
+            this.ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            const label = points.length === 2 ? ['L', 'R'][channel] : `${channel + 1}`;
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.fillText(label, point.x, point.y - 7);
+        });
+    }
+
+    /**
+     * Fading dots where the source was over the last moments
+     * Behaviors are functions of transport time, so the past is recomputed
+     */
+    drawGhostTrail(source, playerPos, radius) {
+        const engine = this.audioEngine;
+        const now = engine.getCurrentTime();
+
+        for (let i = this.trailLength; i >= 1; i--) {
+            const position = engine.getSourcePositionAt(
+                source, now - i * this.trailSpacing, playerPos, engine.listenerOrientation
+            );
+            const screen = this.worldToScreen(position);
+            const fade = 1 - i / (this.trailLength + 1);
+
+            this.ctx.fillStyle = `rgba(0, 255, 136, ${0.35 * fade})`;
+            this.ctx.beginPath();
+            this.ctx.arc(screen.x, screen.y, Math.max(1.5, radius * 0.4 * fade), 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    /**
+     * Draw a source's sound cone: outer wedge faint, inner wedge brighter,
+     * plus the rotate handle for editable sources
+     */
+    drawCone(source, screenX, screenY, color) {
+        const { yaw, innerAngle, outerAngle } = source.cone;
+        const facing = (yaw - 90) * Math.PI / 180;
+        const length = 70;
+
+        const drawWedge = (angleDeg, alpha) => {
+            const half = (angleDeg / 2) * Math.PI / 180;
+            this.ctx.globalAlpha = alpha;
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(screenX, screenY);
+            this.ctx.arc(screenX, screenY, length, facing - half, facing + half);
+            this.ctx.closePath();
+            this.ctx.fill();
+        };
+
+        drawWedge(outerAngle, 0.08);
+        drawWedge(innerAngle, 0.2);
+        this.ctx.globalAlpha = 1;
+
+        // Facing line
+        const handle = this.getConeHandlePosition(source);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(screenX, screenY);
+        this.ctx.lineTo(handle.x, handle.y);
+        this.ctx.stroke();
+
+        // Rotate handle
+        if (!source.locked) {
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.beginPath();
+            this.ctx.arc(handle.x, handle.y, 5, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.strokeStyle = color;
+            this.ctx.stroke();
+        }
     }
 
     /**
@@ -424,17 +2273,8 @@ class Visualization {
     drawPlayer(playerPos, facing) {
         const time = Date.now() / 1000;
 
-        // Calculate player screen position based on global mode
-        let playerX, playerY;
-        if (this.compositionMode) {
-            // COMPOSITION MODE: Player moves through world space
-            playerX = this.centerX + playerPos.x * this.scale;
-            playerY = this.centerY - playerPos.z * this.scale;
-        } else {
-            // AUTHORING MODE: Player always at center (sonar station)
-            playerX = this.centerX;
-            playerY = this.centerY;
-        }
+        // Player screen position (at the center while the camera follows)
+        const { x: playerX, y: playerY } = this.worldToScreen(playerPos);
 
         // Body circle - darker pink with border (online player style)
         const radius = 12;
@@ -0,0 +1,117 @@
+/**
+ * WAV Encoder for SHAC Simulator
+ * Turns an AudioBuffer into a PCM WAV file (16 or 24-bit, any channel count)
+ *
+ * Mono/stereo files use a plain PCM header. More channels use
+ * WAVE_FORMAT_EXTENSIBLE with no speaker mask, as ambisonic (AmbiX)
+ * files expect.
+ */
+
+class WavEncoder {
+    /**
+     * Encode an AudioBuffer as a WAV Blob
+     */
+    static encode(audioBuffer, bitDepth = 16) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported bit depth: ${bitDepth}`);
+        }
+
+        const channelCount = audioBuffer.numberOfChannels;
+        const frameCount = audioBuffer.length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channelCount * bytesPerSample;
+        const dataSize = frameCount * blockAlign;
+        const extensible = channelCount > 2;
+        const formatSize = extensible ? 40 : 16;
+        const headerSize = 12 + (8 + formatSize) + 8;
+
+        const buffer = new ArrayBuffer(headerSize + dataSize);
+        const view = new DataView(buffer);
+        let offset = 0;
+
+        const writeString = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset++, text.charCodeAt(i));
+            }
+        };
+        const writeUint16 = (value) => {
+            view.setUint16(offset, value, true);
+            offset += 2;
+        };
+        const writeUint32 = (value) => {
+            view.setUint32(offset, value, true);
+            offset += 4;
+        };
+
+        // RIFF header
+        writeString('RIFF');
+        writeUint32(headerSize + dataSize - 8);
+        writeString('WAVE');
+
+        // Format chunk
+        writeString('fmt ');
+        writeUint32(formatSize);
+        writeUint16(extensible ? 0xFFFE : 1); // WAVE_FORMAT_EXTENSIBLE or PCM
+        writeUint16(channelCount);
+        writeUint32(audioBuffer.sampleRate);
+        writeUint32(audioBuffer.sampleRate * blockAlign);
+        writeUint16(blockAlign);
+        writeUint16(bitDepth);
+
+        if (extensible) {
+            writeUint16(22);       // Extension size
+            writeUint16(bitDepth); // Valid bits per sample
+            writeUint32(0);        // Channel mask: no speaker assignment
+            // KSDATAFORMAT_SUBTYPE_PCM GUID
+            writeUint32(0x00000001);
+            writeUint16(0x0000);
+            writeUint16(0x0010);
+            [0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71].forEach(byte => view.setUint8(offset++, byte));
+        }
+
+        // Data chunk (interleaved)
+        writeString('data');
+        writeUint32(dataSize);
+
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+
+        const maxValue = bitDepth === 16 ? 0x7FFF : 0x7FFFFF;
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.round(sample * maxValue);
+
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                    offset += 2;
+                } else {
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                    offset += 3;
+                }
+            }
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    /**
+     * Save a Blob through a temporary download link
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}